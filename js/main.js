@@ -6,45 +6,174 @@
     'use strict';
 
     // ============================================
-    // Modal Utilities
+    // Modal Stack
     // ============================================
     const Modal = {
+        // Open layers, topmost last: { element, trigger }
+        stack: [],
+        // Registered layers by element: { onClose }
+        layers: new Map(),
+        scrollLocks: 0,
+        focusableSelector: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])',
+
+        init() {
+            document.addEventListener('keydown', (e) => {
+                const top = this.top();
+                if (!top) return;
+
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.dismiss(top);
+                } else if (e.key === 'Tab') {
+                    this.trapTab(e, top);
+                }
+            });
+
+            // Pull focus back if it lands behind the top layer (e.g. by clicking the page)
+            document.addEventListener('focusin', (e) => {
+                const top = this.top();
+                if (top && !top.contains(e.target)) {
+                    this.focusFirst(top);
+                }
+            });
+        },
+
         /**
-         * Close a modal by removing 'active' class and restoring body scroll
+         * Close a modal, restore focus to whatever opened it and release its scroll lock
          * @param {HTMLElement} modalElement - The modal element to close
          */
         close(modalElement) {
-            if (modalElement) {
-                modalElement.classList.remove('active');
-                document.body.style.overflow = '';
+            const index = this.stack.findIndex(layer => layer.element === modalElement);
+            if (index === -1) return;
+
+            const [layer] = this.stack.splice(index, 1);
+            modalElement.classList.remove('active');
+            this.unlockScroll();
+
+            if (index === this.stack.length && layer.trigger && document.contains(layer.trigger)) {
+                layer.trigger.focus({ preventScroll: true });
             }
         },
 
         /**
-         * Open a modal by adding 'active' class and preventing body scroll
+         * Open a modal on top of the stack, lock page scroll and move focus into it.
+         * Opening a modal that is already open leaves the stack unchanged.
          * @param {HTMLElement} modalElement - The modal element to open
          */
         open(modalElement) {
-            if (modalElement) {
-                modalElement.classList.add('active');
-                document.body.style.overflow = 'hidden';
+            if (!modalElement || this.isOpen(modalElement)) return;
+
+            this.stack.push({ element: modalElement, trigger: document.activeElement });
+            modalElement.classList.add('active');
+            this.lockScroll();
+            this.focusFirst(modalElement);
+        },
+
+        isOpen(modalElement) {
+            return this.stack.some(layer => layer.element === modalElement);
+        },
+
+        /**
+         * The topmost open modal
+         * @returns {HTMLElement|null}
+         */
+        top() {
+            const layer = this.stack[this.stack.length - 1];
+            return layer ? layer.element : null;
+        },
+
+        /**
+         * Close a modal the way its owner asked for (e.g. through the router)
+         * @param {HTMLElement} modalElement - The modal element
+         */
+        dismiss(modalElement) {
+            const layer = this.layers.get(modalElement);
+            if (layer && layer.onClose) {
+                layer.onClose();
+            } else {
+                this.close(modalElement);
+            }
+        },
+
+        /**
+         * Scroll locks are counted so closing a nested layer keeps the page locked
+         */
+        lockScroll() {
+            this.scrollLocks++;
+            document.body.style.overflow = 'hidden';
+        },
+
+        unlockScroll() {
+            this.scrollLocks = Math.max(0, this.scrollLocks - 1);
+            if (this.scrollLocks === 0) {
+                document.body.style.overflow = '';
+            }
+        },
+
+        focusableElements(modalElement) {
+            return Array.from(modalElement.querySelectorAll(this.focusableSelector))
+                .filter(el => el.getClientRects().length > 0);
+        },
+
+        focusFirst(modalElement) {
+            const [first] = this.focusableElements(modalElement);
+            (first || modalElement).focus({ preventScroll: true });
+        },
+
+        /**
+         * Keep Tab and Shift+Tab cycling inside the top layer
+         * @param {KeyboardEvent} e - The Tab keydown event
+         * @param {HTMLElement} modalElement - The top layer
+         */
+        trapTab(e, modalElement) {
+            const focusable = this.focusableElements(modalElement);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                modalElement.focus({ preventScroll: true });
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || document.activeElement === modalElement)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
             }
         },
 
         /**
-         * Set up standard modal behavior (close on backdrop click, close button)
+         * Register an overlay with the stack: dialog semantics, close on backdrop click and close button
          * @param {HTMLElement} modalElement - The modal element
          * @param {Object} options - Configuration options
          * @param {HTMLElement} options.closeButton - Optional close button element
+         * @param {HTMLElement} options.backdrop - Optional element whose clicks close the modal (defaults to the modal itself)
          * @param {HTMLElement} options.contentElement - Optional content element (clicks won't close modal)
+         * @param {Function} options.onClose - Optional handler used instead of closing the modal directly
+         * @param {string} options.labelledBy - Optional id of the element naming the dialog
+         * @param {string} options.label - Optional accessible name when no element names the dialog
          */
         setup(modalElement, options = {}) {
             if (!modalElement) return;
 
+            this.layers.set(modalElement, { onClose: options.onClose });
+
+            modalElement.setAttribute('role', 'dialog');
+            modalElement.setAttribute('aria-modal', 'true');
+            modalElement.setAttribute('tabindex', '-1');
+            if (options.labelledBy) {
+                modalElement.setAttribute('aria-labelledby', options.labelledBy);
+            } else if (options.label) {
+                modalElement.setAttribute('aria-label', options.label);
+            }
+
             // Close on backdrop click
-            modalElement.addEventListener('click', (e) => {
-                if (e.target === modalElement) {
-                    Modal.close(modalElement);
+            const backdrop = options.backdrop || modalElement;
+            backdrop.addEventListener('click', (e) => {
+                if (e.target === backdrop) {
+                    this.dismiss(modalElement);
                 }
             });
 
@@ -52,7 +181,7 @@
             if (options.closeButton) {
                 options.closeButton.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    Modal.close(modalElement);
+                    this.dismiss(modalElement);
                 });
             }
 
@@ -65,855 +194,5391 @@
         }
     };
 
-    // ============================================
-    // Navigation Module
-    // ============================================
-    const Navigation = {
-        navbar: document.getElementById('navbar'),
-        menuToggle: document.getElementById('menuToggle'),
-        sidebarNav: document.getElementById('sidebarNav'),
-        sidebarOverlay: document.getElementById('sidebarOverlay'),
-        lastScrolled: false,
+    /**
+     * Escape a value for safe interpolation into an HTML template
+     * @param {*} value - The value to escape
+     * @returns {string} The escaped string
+     */
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 
-        init() {
-            this.initNavbarScroll();
-            this.initSidebar();
-            this.initSmoothScroll();
-        },
+    /**
+     * Resolve a site-relative path (e.g. "images/web/a.jpg") from the current page.
+     * The static language pages written by scripts/build.js live one folder down
+     * and record the way back to the site root in data-site-root on <html>.
+     * @param {string} path - Path relative to the site root
+     * @returns {string} Path relative to the current page
+     */
+    function assetUrl(path) {
+        if (/^([a-z]+:|\/|#)/i.test(path)) return path;
+        return (document.documentElement.dataset.siteRoot || '') + path;
+    }
 
-        initNavbarScroll() {
-            window.addEventListener('scroll', () => {
-                const isScrolled = window.scrollY > 100;
-                if (isScrolled !== this.lastScrolled) {
-                    this.navbar.classList.toggle('scrolled', isScrolled);
-                    this.lastScrolled = isScrolled;
-                }
-            });
-        },
+    /**
+     * A photo's responsive variants from data/images.json, as image attributes
+     * @param {string} path - Photo path relative to the site root, as in data/content.json
+     * @returns {Object|null} src, srcset, width, height, placeholder color and the
+     *     AVIF/WebP sources, or null when the photo has no variants
+     */
+    function responsiveImage(path) {
+        const entry = Content.image(path);
+        if (!entry) return null;
+
+        const srcset = variants => variants.map(variant => `${assetUrl(variant.src)} ${variant.width}w`).join(', ');
+        const fallback = entry.sources.jpeg || entry.sources.png;
+
+        return {
+            src: assetUrl(fallback[0].src),
+            srcset: srcset(fallback),
+            width: entry.width,
+            height: entry.height,
+            color: entry.color,
+            sources: ['avif', 'webp'].map(format => ({ type: `image/${format}`, srcset: srcset(entry.sources[format]) }))
+        };
+    }
 
-        initSidebar() {
-            this.menuToggle.addEventListener('click', () => {
-                if (this.sidebarNav.classList.contains('active')) {
-                    this.closeSidebar();
-                } else {
-                    this.openSidebar();
-                }
-            });
+    /**
+     * Markup for a photo: a <picture> offering its variants, sized to reserve its
+     * box and filled with its placeholder colour while it loads, or a plain <img>
+     * when the manifest does not list it
+     * @param {string} path - Photo path relative to the site root
+     * @param {Object} options
+     * @param {string} options.sizes - Rendered width, e.g. "350px"
+     * @param {string} [options.fallback] - Path to show instead when the photo has no variants
+     * @param {string} [options.attributes] - Further <img> attributes, already escaped
+     * @returns {string} HTML
+     */
+    function pictureHtml(path, { sizes, fallback = path, attributes = '' }) {
+        const image = responsiveImage(path);
+        if (!image) return `<img src="${escapeHtml(assetUrl(fallback))}" ${attributes}>`;
+
+        const sources = image.sources.map(source => `
+            <source type="${source.type}" srcset="${escapeHtml(source.srcset)}" sizes="${escapeHtml(sizes)}">`).join('');
+        return `<picture>${sources}
+            <img src="${escapeHtml(image.src)}" srcset="${escapeHtml(image.srcset)}" sizes="${escapeHtml(sizes)}" width="${image.width}" height="${image.height}" style="background-color: ${image.color}" ${attributes}>
+        </picture>`;
+    }
 
-            // Close sidebar when clicking overlay
-            this.sidebarOverlay.addEventListener('click', () => this.closeSidebar());
+    /**
+     * Point an existing image at a photo, replacing the variants offered by its
+     * <picture>. Paths the manifest does not list are shown as they are.
+     * @param {HTMLImageElement} img - Image, usually inside a <picture>
+     * @param {string} path - Photo path relative to the site root, or a URL
+     * @param {string} sizes - Rendered width, e.g. "90vw"
+     */
+    function setPicture(img, path, sizes) {
+        const image = responsiveImage(path);
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (picture) picture.querySelectorAll('source').forEach(source => source.remove());
+
+        if (!image) {
+            ['srcset', 'sizes', 'width', 'height'].forEach(name => img.removeAttribute(name));
+            img.style.backgroundColor = '';
+            img.src = assetUrl(path);
+            return;
+        }
 
-            // Close sidebar when clicking a link
-            this.sidebarNav.querySelectorAll('a').forEach(link => {
-                link.addEventListener('click', () => this.closeSidebar());
+        if (picture) {
+            image.sources.forEach(({ type, srcset }) => {
+                const source = document.createElement('source');
+                Object.assign(source, { type, srcset, sizes });
+                img.before(source);
             });
-        },
+        }
+        Object.assign(img, { sizes, srcset: image.srcset, src: image.src, width: image.width, height: image.height });
+        img.style.backgroundColor = image.color;
+    }
 
-        openSidebar() {
-            this.menuToggle.classList.add('active');
-            this.sidebarNav.classList.add('active');
-            this.sidebarOverlay.classList.add('active');
-            document.body.style.overflow = 'hidden';
-        },
+    /**
+     * Save a file generated in the browser
+     * @param {string} filename - e.g. "junior-worlds-2026.ics"
+     * @param {Blob} blob - File contents
+     */
+    function saveFile(filename, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-        closeSidebar() {
-            this.menuToggle.classList.remove('active');
-            this.sidebarNav.classList.remove('active');
-            this.sidebarOverlay.classList.remove('active');
-            document.body.style.overflow = '';
-        },
+    /**
+     * Parse a date of the form "2025", "2025-06" or "2025-06-14", as used in the content file
+     * @param {string} value - Partial ISO date
+     * @returns {{start: number, end: number, precision: string}} Start and end of
+     *   the period in ms, and 'year', 'month' or 'day'
+     */
+    function parseDate(value) {
+        const [year, month, day] = String(value).split('-').map(Number);
+        if (day) {
+            return { start: Date.UTC(year, month - 1, day), end: Date.UTC(year, month - 1, day + 1), precision: 'day' };
+        }
+        if (month) {
+            return { start: Date.UTC(year, month - 1, 1), end: Date.UTC(year, month, 1), precision: 'month' };
+        }
+        return { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1), precision: 'year' };
+    }
 
-        initSmoothScroll() {
-            document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-                anchor.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    const href = anchor.getAttribute('href');
-                    const target = document.querySelector(href);
-                    if (target) {
-                        const navbarHeight = this.navbar.offsetHeight;
-                        const targetPosition = target.getBoundingClientRect().top + window.pageYOffset;
-                        window.scrollTo({
-                            top: targetPosition - navbarHeight,
-                            behavior: 'smooth'
-                        });
-                        history.pushState(null, null, href);
-                    }
-                });
-            });
-        },
+    /**
+     * Format a partial date as precisely as it is given
+     * @param {string} value - "2025", "2025-06" or "2025-06-14"
+     * @param {string} locale - Locale code
+     * @param {string} month - Month style, 'long' or 'short'
+     * @returns {string} e.g. "2025", "June 2025" or "14 June 2025"
+     */
+    function formatDate(value, locale, month = 'long') {
+        const { start, precision } = parseDate(value);
+        if (precision === 'year') return String(new Date(start).getUTCFullYear());
+
+        const options = { month, year: 'numeric', timeZone: 'UTC' };
+        if (precision === 'day') options.day = 'numeric';
+        return new Intl.DateTimeFormat(locale, options).format(new Date(start));
+    }
+
+    /**
+     * Format a span of days, collapsing the shared month and year
+     * @param {string} from - First day, "2026-11-07"
+     * @param {string} to - Last day, "2026-11-15"; optional
+     * @param {string} locale - Locale code
+     * @returns {string} e.g. "7–15 November 2026"
+     */
+    function formatDateRange(from, to, locale) {
+        if (!to || to === from) return formatDate(from, locale);
+
+        const format = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+        return format.formatRange(new Date(parseDate(from).start), new Date(parseDate(to).start));
+    }
 
-        isSidebarActive() {
-            return this.sidebarNav && this.sidebarNav.classList.contains('active');
+    /**
+     * Name of a country in a locale
+     * @param {string} code - ISO 3166 region code, e.g. "HR"
+     * @param {string} locale - Locale code
+     * @returns {string} e.g. "Kroatien"
+     */
+    function formatCountry(code, locale) {
+        try {
+            return new Intl.DisplayNames([locale], { type: 'region' }).of(code);
+        } catch (error) {
+            return code;
         }
-    };
+    }
 
     // ============================================
-    // Scroll Effects Module
+    // Content Module
     // ============================================
-    const ScrollEffects = {
-        init() {
-            const reveals = document.querySelectorAll('.reveal');
+    const Content = {
+        url: 'data/content.json',
+        imagesUrl: 'data/images.json',
+        data: null,
+        // Responsive variants per photo path, written by scripts/images.js
+        images: {},
 
-            const revealObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('active');
-                        // Stop observing once revealed (one-time animation)
-                        revealObserver.unobserve(entry.target);
+        /**
+         * Load the structured content file (profile, achievements, timeline, partners, budget)
+         * and the image manifest
+         * @returns {Promise<Object>} Resolves with the parsed content
+         */
+        load() {
+            // Without the manifest photos simply keep their plain src
+            const images = fetch(assetUrl(this.imagesUrl))
+                .then(response => (response.ok ? response.json() : {}))
+                .catch(() => ({}));
+
+            return fetch(assetUrl(this.url))
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load ${this.url} (HTTP ${response.status})`);
                     }
+                    return response.json();
+                })
+                .then(data => {
+                    // Milestones tied to a calendar event take their date from it
+                    data.timeline.points.forEach(point => {
+                        const event = point.event && data.events.find(item => item.id === point.event);
+                        if (event) point.date = event.date;
+                    });
+
+                    this.data = data;
+                    return images;
+                })
+                .then(manifest => {
+                    this.images = manifest;
+                    return this.data;
                 });
-            }, {
-                // Trigger when element is 100px from bottom of viewport
-                rootMargin: '0px 0px -100px 0px',
-                threshold: 0
-            });
+        },
 
-            reveals.forEach(element => revealObserver.observe(element));
-        }
-    };
+        achievement(id) {
+            return this.data.achievements.find(item => item.id === id) || null;
+        },
 
-    // ============================================
-    // Timeline Module
-    // ============================================
-    const Timeline = {
-        container: null,
-        currentSection: 1,
-        totalSections: 3,
+        timelinePoint(id) {
+            return this.data.timeline.points.find(item => item.id === id) || null;
+        },
 
-        init() {
-            // SVG is now embedded in HTML, just setup interactions
-            this.setupInteractions();
-            TimelinePointModal.init();
+        album(id) {
+            return this.data.gallery.albums.find(item => item.id === id) || null;
         },
 
-        setupInteractions() {
-            this.container = document.getElementById('timelineContainer');
-            const zoomOutBtn = document.getElementById('timelineZoomOut');
-            const navPrev = document.getElementById('timelineNavPrev');
-            const navNext = document.getElementById('timelineNavNext');
+        image(path) {
+            return this.images[path] || null;
+        },
 
-            // Initialize zoom state for mobile
-            if (this.isMobile()) {
-                this.zoomToSection(1);
-                this.container.classList.add('mobile-mode');
-            }
+        /**
+         * Every text field in the content file with the message key the renderer
+         * tags its data-i18n element with. The content editor (?edit) writes
+         * through these as well.
+         * @param {Object} data - Parsed content file
+         * @returns {Array<{key: string, owner: Object, field: string|number}>} The
+         *     field's value is owner[field]
+         */
+        textFields(data = this.data) {
+            const { profile, achievements, record, events, timeline, partners, budget, packages, gallery, videos } = data;
+            const fields = [];
+            const add = (key, owner, field) => fields.push({ key, owner, field });
+
+            profile.facts.forEach(fact => {
+                add(`about.${fact.id}`, fact, 'label');
+                add(`about.${fact.id}.value`, fact, 'value');
+            });
 
-            // Handle resize
-            window.addEventListener('resize', () => {
-                if (this.isMobile()) {
-                    // On mobile, always stay zoomed
-                    if (!this.container.classList.contains('zoomed')) {
-                        this.zoomToSection(1);
-                    }
-                    this.container.classList.add('mobile-mode');
-                } else {
-                    // On desktop, zoom out if in mobile mode
-                    if (this.container.classList.contains('mobile-mode')) {
-                        this.zoomOut();
-                        this.container.classList.remove('mobile-mode');
-                    }
-                }
+            achievements.forEach(item => {
+                ['category', 'title', 'location', 'result', 'description', 'quote'].forEach(field => {
+                    if (item[field]) add(`achievements.${item.id}.${field}`, item, field);
+                });
+                add(`achievements.${item.id}.preview_html`, item, 'preview');
             });
 
-            // Zoom controls
-            zoomOutBtn.addEventListener('click', () => this.zoomOut());
+            record.events.forEach(event => {
+                add(`record.event.${event.id}.name`, event, 'name');
+                add(`record.event.${event.id}.location`, event, 'location');
+            });
 
-            navPrev.addEventListener('click', () => {
-                if (this.currentSection > 1) {
-                    this.zoomToSection(this.currentSection - 1);
-                }
+            events.forEach(event => {
+                add(`events.${event.id}.name`, event, 'name');
             });
 
-            navNext.addEventListener('click', () => {
-                if (this.currentSection < this.totalSections) {
-                    this.zoomToSection(this.currentSection + 1);
-                }
+            timeline.sections.forEach(section => {
+                add(`timeline.section${section.id}`, section, 'title');
+                add(`timeline.section${section.id}.sub`, section, 'subtitle');
             });
 
+            timeline.points.forEach(point => {
+                add(`timeline.${point.id}`, point, point.label ? 'label' : 'title');
+                add(`timeline.point.${point.id}.title`, point, 'title');
+                if (point.description) add(`timeline.point.${point.id}.description`, point, 'description');
+                if (point.progress) add(`timeline.point.${point.id}.progress`, point, 'progress');
+                if (point.dateLabel) add(`timeline.point.${point.id}.date`, point, 'dateLabel');
+            });
 
-            // Keyboard navigation
-            document.addEventListener('keydown', (e) => {
-                // On mobile, always allow arrow navigation
-                // On desktop, only when zoomed
-                if (!this.isMobile() && !this.container.classList.contains('zoomed')) return;
+            partners.forEach(partner => {
+                add(`partners.${partner.id}.desc`, partner, 'description');
+                add(`partners.${partner.id}.role`, partner, 'role');
+            });
 
-                if (e.key === 'ArrowLeft' && this.currentSection > 1) {
-                    this.zoomToSection(this.currentSection - 1);
-                } else if (e.key === 'ArrowRight' && this.currentSection < this.totalSections) {
-                    this.zoomToSection(this.currentSection + 1);
-                }
+            budget.lines.forEach(line => {
+                add(`budget.${line.id}`, line, 'label');
+                add(`budget.${line.id}.desc`, line, 'description');
             });
-        },
 
-        isMobile() {
-            return window.innerWidth <= 768;
-        },
+            packages.tiers.forEach(tier => {
+                add(`packages.tier.${tier.id}`, tier, 'name');
+                tier.benefits.forEach((benefit, index) => {
+                    add(`packages.tier.${tier.id}.benefit${index + 1}`, tier.benefits, index);
+                });
+            });
 
-        zoomToSection(sectionNum) {
-            this.currentSection = parseInt(sectionNum, 10);
-            this.container.classList.remove('zoom-section-1', 'zoom-section-2', 'zoom-section-3');
-            this.container.classList.add('zoomed', `zoom-section-${sectionNum}`);
-            this.updateNavButtons();
-        },
+            packages.addons.forEach(addon => {
+                add(`packages.addon.${addon.id}`, addon, 'name');
+                add(`packages.addon.${addon.id}.desc`, addon, 'description');
+            });
 
-        zoomOut() {
-            if (this.isMobile()) return;
-            this.container.classList.remove('zoomed', 'zoom-section-1', 'zoom-section-2', 'zoom-section-3');
-            this.updateNavButtons();
+            gallery.albums.forEach(album => {
+                add(`gallery.album.${album.id}`, album, 'title');
+                if (album.event) add(`gallery.album.${album.id}.event`, album, 'event');
+            });
+
+            videos.sections.forEach(section => {
+                add(`videos.section.${section.id}`, section, 'title');
+            });
+
+            return fields;
         },
 
-        updateNavButtons() {
-            const navPrev = document.getElementById('timelineNavPrev');
-            const navNext = document.getElementById('timelineNavNext');
-            navPrev.disabled = this.currentSection <= 1;
-            navNext.disabled = this.currentSection >= this.totalSections;
+        /**
+         * English messages for every text field in the content file. Registered
+         * as part of the default catalogue so other locales fall back to them.
+         * @returns {Object<string, string>} Key/message pairs
+         */
+        messages() {
+            const messages = {};
+            this.textFields().forEach(({ key, owner, field }) => {
+                messages[key] = owner[field];
+            });
+            return messages;
         },
 
-        isZoomed() {
-            return this.container && this.container.classList.contains('zoomed');
+        /**
+         * Sum of all budget lines, so the total can never drift from the items
+         * @returns {number} The yearly total
+         */
+        budgetTotal() {
+            return this.data.budget.lines.reduce((sum, line) => sum + line.amount, 0);
         }
     };
 
     // ============================================
-    // Timeline Point Modal Module
+    // Timeline Layout Module
     // ============================================
-    const TimelinePointModal = {
-        modal: null,
-        translations: {
-            de: {
-                'timeline.point.started.title': 'Trainingsbeginn',
-                'timeline.point.started.description': 'Begann meine Kickbox-Reise und entdeckte eine Leidenschaft, die meine Zukunft prägen sollte.',
-                'timeline.point.first.title': 'Erster Wettkampf',
-                'timeline.point.first.description': 'Mein erster offizieller Wettkampf - eine wertvolle Erfahrung.',
-                'timeline.point.swiss.title': 'Schweizer Meisterin',
-                'timeline.point.swiss.description': 'Gewann die Schweizer Meisterschaften in WAKO und SCOS und wurde doppelte Nationalmeisterin.',
-                'timeline.point.national.title': 'Nationalmannschaft',
-                'timeline.point.national.description': 'Ausgewählt, um die Schweiz in der nationalen Kickbox-Mannschaft zu vertreten.',
-                'timeline.point.euro.title': 'Europameisterin',
-                'timeline.point.euro.description': 'Gewann die Europameisterschaften in Jesolo, Italien. 3 Kämpfe, 3 Siege - jeden Kampf dominiert und die Goldmedaille geholt.',
-                'timeline.point.pro.title': 'Erster Profikampf',
-                'timeline.point.pro.description': 'Ziel: Übergang zum Profi-Kampfsport und erster Profikampf.',
-                'timeline.point.juniorwc.title': 'Junioren Weltmeisterschaft',
-                'timeline.point.juniorwc.description': 'Ziel: Bei der Junioren Weltmeisterschaft antreten und eine Medaille anstreben.',
-                'timeline.point.seniorec.title': 'Senioren Europameisterschaft',
-                'timeline.point.seniorec.description': 'Ziel: Den Schritt auf die Seniorenebene bei der Europameisterschaft wagen.',
-                'timeline.point.one.title': 'ONE Championship',
-                'timeline.point.one.description': 'Langfristiger Traum: Bei ONE Championship kämpfen, einer der weltweit führenden Kampfsportorganisationen.',
-                'timeline.point.olympics.title': 'Olympische Spiele',
-                'timeline.point.olympics.description': 'Ultimativer Traum: Die Schweiz bei den Olympischen Spielen vertreten, wenn Kickboxen olympisch wird.'
-            }
-        },
+    const TimelineLayout = {
+        // Matches the viewBox of the timeline SVG in index.html
+        width: 1000,
+        baseline: 180,
+        amplitude: 50,
+        // Space kept free at the edges of each section, and between milestones
+        sectionPadding: 30,
+        minGap: 55,
 
-        init() {
-            this.modal = document.getElementById('timelinePointModal');
-            if (!this.modal) return;
+        /**
+         * Place every section and milestone of the timeline. Sections share the
+         * width equally; inside a section milestones sit where their date falls
+         * between the section's "from" and "to", and milestones with the same
+         * date share out that period. Milestones follow a wave around the
+         * baseline, with labels on the outside of each bend.
+         * @param {Object} timeline - The timeline block of the content file
+         * @returns {{sections: Object[], points: Object[], path: string, highlight: string}}
+         */
+        layout(timeline) {
+            const sectionWidth = this.width / timeline.sections.length;
+            const sections = timeline.sections.map((section, index) => ({
+                ...section,
+                x: index * sectionWidth,
+                width: sectionWidth
+            }));
+
+            const points = [];
+            sections.forEach(section => {
+                const from = parseDate(section.from).start;
+                const to = parseDate(section.to).end;
+                const left = section.x + this.sectionPadding;
+                const right = section.x + section.width - this.sectionPadding;
+
+                const members = timeline.points
+                    .filter(point => point.section === section.id)
+                    .map(point => ({ point, period: parseDate(point.date) }))
+                    .sort((a, b) => a.period.start - b.period.start);
+
+                const xs = members.map(({ point, period }) => {
+                    const sameDate = members.filter(other => other.point.date === point.date);
+                    const share = (sameDate.findIndex(other => other.point === point) + 0.5) / sameDate.length;
+                    const time = period.start + (period.end - period.start) * share;
+                    return left + (right - left) * Math.min(Math.max((time - from) / (to - from), 0), 1);
+                });
 
-            const closeBtn = document.getElementById('timelinePointModalClose');
-            const hitareas = document.querySelectorAll('.timeline-point-hitarea');
+                // Keep labels apart: push right, then back from the section's end
+                for (let i = 1; i < xs.length; i++) xs[i] = Math.max(xs[i], xs[i - 1] + this.minGap);
+                for (let i = xs.length - 1; i >= 0; i--) {
+                    xs[i] = Math.min(xs[i], i === xs.length - 1 ? right : xs[i + 1] - this.minGap);
+                }
 
-            // Setup modal close behavior
-            Modal.setup(this.modal, {
-                closeButton: closeBtn,
-                contentElement: document.querySelector('.timeline-point-modal-content')
+                members.forEach(({ point }, i) => points.push({ ...point, x: Math.round(xs[i]) }));
             });
 
-            // Add click handlers to hitarea rectangles (not the g elements)
-            hitareas.forEach(hitarea => {
-                hitarea.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const point = hitarea.parentElement;
-                    this.openPoint(point);
-                });
+            // Wave: baseline, crest, baseline, trough, ...
+            points.forEach((point, index) => {
+                const phase = index % 4;
+                point.y = this.baseline + [0, -1, 0, 1][phase] * this.amplitude;
+                point.labelPosition = phase < 2 ? 'above' : 'below';
             });
 
-            // Add click handlers for vertical timeline items (mobile)
-            document.querySelectorAll('.timeline-vertical-item.achieved').forEach(item => {
-                item.addEventListener('click', () => this.openPoint(item));
+            const lastAchieved = points.map(point => point.status).lastIndexOf('achieved');
+            return {
+                sections,
+                points,
+                path: this.curve(points),
+                highlight: lastAchieved > 0 ? this.curve(points, lastAchieved + 1) : ''
+            };
+        },
+
+        /**
+         * Smooth path through a list of points (Catmull-Rom as cubic Béziers)
+         * @param {Array<{x: number, y: number}>} points
+         * @param {number} count - Only run through the first count points, along
+         *   the same curve as the full path
+         * @returns {string} SVG path data
+         */
+        curve(points, count = points.length) {
+            if (!points.length) return '';
+
+            const at = index => points[Math.min(Math.max(index, 0), points.length - 1)];
+            const segments = points.slice(1, count).map((point, i) => {
+                const [p0, p1, p2, p3] = [at(i - 1), at(i), point, at(i + 2)];
+                const c1 = [p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6];
+                const c2 = [p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6];
+                return `C ${c1.map(Math.round).join(',')} ${c2.map(Math.round).join(',')} ${p2.x},${p2.y}`;
             });
 
-        },
+            return [`M ${points[0].x},${points[0].y}`, ...segments].join(' ');
+        }
+    };
 
-        getTranslatedContent(point) {
-            const pointId = point.dataset.point;
-            const lang = LanguageSwitcher.currentLang;
+    // ============================================
+    // Fight Log Module
+    // ============================================
+    const FightLog = {
+        medals: ['gold', 'silver', 'bronze'],
+
+        event(id) {
+            return Content.data.record.events.find(item => item.id === id) || null;
+        },
 
-            if (lang === 'de' && pointId) {
+        /**
+         * Every bout with its event's name, location, level and achievement,
+         * in the order of the log
+         * @returns {Object[]} Bouts
+         */
+        bouts() {
+            return Content.data.record.fights.map((fight, index) => {
+                const event = this.event(fight.event);
                 return {
-                    title: this.translations.de[`timeline.point.${pointId}.title`] || point.dataset.title,
-                    description: this.translations.de[`timeline.point.${pointId}.description`] || point.dataset.description
+                    ...fight,
+                    index,
+                    eventName: event.name,
+                    location: event.location,
+                    level: event.level,
+                    achievement: event.achievement,
+                    season: String(fight.date).slice(0, 4)
                 };
-            }
-
-            return {
-                title: point.dataset.title,
-                description: point.dataset.description
-            };
+            });
         },
 
-        openPoint(point) {
+        /**
+         * Win/loss/draw record of a list of bouts
+         * @param {Object[]} bouts
+         * @returns {{fights: number, wins: number, losses: number, draws: number}}
+         */
+        stats(bouts) {
+            const count = result => bouts.filter(bout => bout.result === result).length;
+            return { fights: bouts.length, wins: count('win'), losses: count('loss'), draws: count('draw') };
+        },
+
+        /**
+         * Record per season (calendar year), most recent first
+         * @returns {Array<{season: string, fights: number, wins: number, losses: number, draws: number}>}
+         */
+        seasons() {
+            const bouts = this.bouts();
+            return [...new Set(bouts.map(bout => bout.season))]
+                .sort((a, b) => b.localeCompare(a))
+                .map(season => ({ season, ...this.stats(bouts.filter(bout => bout.season === season)) }));
+        },
+
+        /**
+         * Medals won at a list of events, by colour
+         * @param {Object[]} events - Events from the content file
+         * @returns {Object<string, number>} e.g. { gold: 4, silver: 0, bronze: 0 }
+         */
+        medalCount(events = Content.data.record.events) {
+            return Object.fromEntries(this.medals.map(medal => [medal, events.filter(event => event.medal === medal).length]));
+        },
+
+        /**
+         * A record as "W–L", or "W–L–D" once there is a draw
+         * @param {{wins: number, losses: number, draws: number}} stats
+         * @returns {string}
+         */
+        score(stats) {
+            return [stats.wins, stats.losses, ...(stats.draws ? [stats.draws] : [])].join('–');
+        },
+
+        /**
+         * The result line of an achievement card, e.g. "3 Fights, 3 Wins – Gold Medal"
+         * @param {string} achievementId - Achievement id
+         * @param {string} locale - Locale code
+         * @returns {string|null} Null if no event in the log belongs to the achievement
+         */
+        resultLine(achievementId, locale) {
+            const events = Content.data.record.events.filter(event => event.achievement === achievementId);
+            if (!events.length) return null;
+
+            const stats = this.stats(this.bouts().filter(bout => bout.achievement === achievementId));
+            const bouts = [I18n.plural('record.fights', stats.fights, {}, locale), I18n.plural('record.wins', stats.wins, {}, locale)];
+            if (stats.losses) bouts.push(I18n.plural('record.losses', stats.losses, {}, locale));
+            if (stats.draws) bouts.push(I18n.plural('record.draws', stats.draws, {}, locale));
+
+            const medals = Object.entries(this.medalCount(events))
+                .filter(([, count]) => count)
+                .map(([medal, count]) => I18n.plural(`record.medals.${medal}`, count, {}, locale));
+
+            return bouts.join(', ') + (medals.length ? ` – ${medals.join(', ')}` : '');
+        },
+
+        /**
+         * Generated achievement result lines for a locale, registered into its
+         * catalogue so cards and the achievement modal translate them like any key
+         * @param {string} locale - Locale code
+         * @returns {Object<string, string>} Messages
+         */
+        messages(locale) {
+            const messages = {};
+            Content.data.achievements.forEach(item => {
+                const line = this.resultLine(item.id, locale);
+                if (line) messages[`achievements.${item.id}.result`] = line;
+            });
+            return messages;
+        }
+    };
+
+    // ============================================
+    // Schedule Module
+    // ============================================
+    const Schedule = {
+        event(id) {
+            return Content.data.events.find(item => item.id === id) || null;
+        },
+
+        /**
+         * When an event runs. Events are all-day and span from the start of their
+         * first day to the end of their last (UTC).
+         * @param {Object} event - Event from the content file
+         * @returns {{start: number, end: number}} Timestamps, end exclusive
+         */
+        span(event) {
+            return { start: parseDate(event.date).start, end: parseDate(event.endDate || event.date).end };
+        },
+
+        /**
+         * Events that have not ended yet, soonest first
+         * @param {number} now - Timestamp
+         * @returns {Object[]} Events
+         */
+        upcoming(now = Date.now()) {
+            return Content.data.events
+                .filter(event => this.span(event).end > now)
+                .sort((a, b) => this.span(a).start - this.span(b).start);
+        },
+
+        /**
+         * Events that are over, most recent first. They make up the history in
+         * the achievements section.
+         * @param {number} now - Timestamp
+         * @returns {Object[]} Events
+         */
+        past(now = Date.now()) {
+            return Content.data.events
+                .filter(event => this.span(event).end <= now)
+                .sort((a, b) => this.span(b).start - this.span(a).start);
+        }
+    };
+
+    // ============================================
+    // Calendar Export Module
+    // ============================================
+    const CalendarExport = {
+        /**
+         * An iCalendar file with the events as all-day entries, named in the page language
+         * @param {Object[]} events - Events from the content file
+         * @returns {string} .ics text
+         */
+        ics(events) {
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+            const day = time => new Date(time).toISOString().slice(0, 10).replace(/-/g, '');
+            const page = location.href.split('#')[0];
+
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                `PRODID:-//${this.escape(Content.data.profile.name)}//Events//EN`,
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                `X-WR-CALNAME:${this.escape(I18n.t('upcoming.calendar', { name: Content.data.profile.name }))}`
+            ];
+
+            events.forEach(event => {
+                const { start, end } = Schedule.span(event);
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${event.id}@${location.hostname || 'localhost'}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${day(start)}`,
+                    `DTEND;VALUE=DATE:${day(end)}`,
+                    `SUMMARY:${this.escape(I18n.t(`events.${event.id}.name`))}`,
+                    `LOCATION:${this.escape(`${event.city}, ${formatCountry(event.country, I18n.locale)}`)}`,
+                    `DESCRIPTION:${this.escape(event.federation)}`,
+                    `URL:${page}#upcoming`,
+                    'END:VEVENT'
+                );
+            });
+            lines.push('END:VCALENDAR');
+
+            return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+        },
+
+        escape(text) {
+            return String(text).replace(/[\\;,]/g, '\\$&').replace(/\n/g, '\\n');
+        },
+
+        /**
+         * Fold a content line at 75 octets, as RFC 5545 requires
+         * @param {string} line
+         * @returns {string}
+         */
+        fold(line) {
+            const encoder = new TextEncoder();
+            let folded = '';
+            let size = 0;
+
+            for (const char of line) {
+                const bytes = encoder.encode(char).length;
+                if (size + bytes > 75) {
+                    folded += '\r\n ';
+                    size = 1;
+                }
+                folded += char;
+                size += bytes;
+            }
+            return folded;
+        },
+
+        /**
+         * Save calendar text as an .ics file
+         * @param {string} filename - e.g. "junior-worlds-2026.ics"
+         * @param {string} text - File contents
+         */
+        download(filename, text) {
+            saveFile(filename, new Blob([text], { type: 'text/calendar;charset=utf-8' }));
+        }
+    };
+
+    // ============================================
+    // Budget Module
+    // ============================================
+    const Budget = {
+        storageKey: 'budgetCurrency',
+        currency: null,
+        // Swiss number formats for the Swiss languages, e.g. "CHF 8’700"
+        formatLocales: { de: 'de-CH', fr: 'fr-CH', it: 'it-CH' },
+        palette: ['#6d7698', '#8B1E1E', 'hsl(220, 60%, 60%)', 'hsl(220, 35%, 78%)', '#2563eb', '#b8860b'],
+
+        init() {
+            const section = document.getElementById('budget');
+            if (!section) return;
+
+            section.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-currency]');
+                if (button) this.select(button.dataset.currency);
+            });
+
+            // Segments and lines highlight each other, by pointer or keyboard focus
+            ['pointerover', 'focusin'].forEach(type => section.addEventListener(type, (e) => {
+                const line = e.target.closest('.budget-segment, .budget-item');
+                this.highlight(line ? line.dataset.budgetLine : null);
+            }));
+            ['pointerleave', 'focusout'].forEach(type => section.addEventListener(type, () => this.highlight(null)));
+
+            this.show(this.savedCurrency());
+        },
+
+        /**
+         * The selected currency, or the budget's own before one is chosen
+         * @returns {string} ISO currency code
+         */
+        active() {
+            return this.currency || Content.data.budget.currency;
+        },
+
+        /**
+         * Currencies of the bundled rate table, base currency first
+         * @returns {string[]} ISO currency codes
+         */
+        currencies() {
+            const { currency, rates } = Content.data.budget;
+            return [currency, ...Object.keys(rates.values).filter(code => code !== currency)];
+        },
+
+        /**
+         * The saved currency, if the rate table still has it
+         * @returns {string} ISO currency code
+         */
+        savedCurrency() {
+            let saved = null;
+            try {
+                saved = localStorage.getItem(this.storageKey);
+            } catch (error) {
+                // Storage may be unavailable (e.g. privacy mode)
+            }
+            return this.currencies().includes(saved) ? saved : Content.data.budget.currency;
+        },
+
+        /**
+         * Show every amount in another currency
+         * @param {string} currency - ISO currency code from the rate table
+         */
+        select(currency) {
+            if (!this.currencies().includes(currency)) return;
+
+            try {
+                localStorage.setItem(this.storageKey, currency);
+            } catch (error) {
+                // The choice then only lasts for this visit
+            }
+            this.show(currency);
+            LanguageSwitcher.applyTranslations(document);
+        },
+
+        show(currency) {
+            this.currency = currency;
+            document.querySelectorAll('[data-currency]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.currency === currency));
+            });
+            const rates = document.getElementById('budgetRates');
+            if (rates) rates.hidden = currency === Content.data.budget.currency;
+        },
+
+        /**
+         * Format an amount of the base currency in the selected currency and page language
+         * @param {number} amount - Amount in the budget's currency
+         * @returns {string} e.g. "CHF 8,700" or "EUR 9’309"
+         */
+        format(amount) {
+            const currency = this.active();
+            const converted = amount * Content.data.budget.rates.values[currency];
+            return new Intl.NumberFormat(this.formatLocales[I18n.locale] || I18n.locale, {
+                style: 'currency',
+                currency,
+                currencyDisplay: 'code',
+                maximumFractionDigits: 0
+            }).format(converted);
+        },
+
+        percent(share) {
+            return new Intl.NumberFormat(this.formatLocales[I18n.locale] || I18n.locale, { style: 'percent' }).format(share);
+        },
+
+        color(index) {
+            return this.palette[index % this.palette.length];
+        },
+
+        /**
+         * Emphasise one budget line in both the list and the chart
+         * @param {string|null} id - Budget line id, or null to clear
+         */
+        highlight(id) {
+            document.querySelectorAll('#budget [data-budget-line]').forEach(el => {
+                el.classList.toggle('highlighted', el.dataset.budgetLine === id);
+            });
+            const chart = document.getElementById('budgetChart');
+            if (chart) chart.classList.toggle('has-highlight', Boolean(id));
+        }
+    };
+
+    // ============================================
+    // Content Renderer Module
+    // ============================================
+    const ContentRenderer = {
+        /**
+         * Render every data-driven section in English. LanguageSwitcher.init()
+         * translates the rendered data-i18n elements afterwards.
+         */
+        render() {
+            this.renderAboutDetails();
+            this.renderAchievements();
+            this.renderFightRecord();
+            this.renderEventHistory();
+            this.renderUpcoming();
+            this.renderTimeline();
+            this.renderPartners();
+            this.renderBudget();
+            this.renderPackages();
+            this.renderGallery();
+            this.renderVideos();
+            this.renderDossier();
+        },
+
+        renderAboutDetails() {
+            const container = document.getElementById('aboutDetails');
+            if (!container) return;
+
+            container.innerHTML = Content.data.profile.facts.map(fact => `
+                <div class="detail-item">
+                    <span class="detail-label" data-i18n="about.${fact.id}">${escapeHtml(fact.label)}</span>
+                    <span class="detail-value" data-i18n="about.${fact.id}.value">${escapeHtml(fact.value)}</span>
+                </div>`).join('');
+        },
+
+        renderAchievements() {
+            const container = document.getElementById('achievementsCarousel');
+            if (!container) return;
+
+            // Previews may contain <strong>/<br> markup and are inserted as HTML
+            container.innerHTML = Content.data.achievements.map(item => `
+                <div class="achievement-card" data-achievement="${escapeHtml(item.id)}">
+                    <div class="card-category" data-i18n="achievements.${item.id}.category">${escapeHtml(item.category)}</div>
+                    <div class="card-title" id="achievement-${escapeHtml(item.id)}-title" data-i18n="achievements.${item.id}.category">${escapeHtml(item.category)}</div>
+                    <div class="card-year" id="achievement-${escapeHtml(item.id)}-year">${escapeHtml(item.year)}</div>
+                    <div class="card-location" data-i18n="achievements.${item.id}.location">${escapeHtml(item.location)}</div>
+                    <div class="card-result" data-i18n="achievements.${item.id}.result">${escapeHtml(FightLog.resultLine(item.id, I18n.defaultLocale) || item.result)}</div>
+                    <div class="card-preview" data-i18n="achievements.${item.id}.preview_html">${item.preview}</div>
+                    <button type="button" class="card-expand" id="achievement-${escapeHtml(item.id)}-expand" aria-haspopup="dialog" aria-labelledby="achievement-${escapeHtml(item.id)}-expand achievement-${escapeHtml(item.id)}-title achievement-${escapeHtml(item.id)}-year" data-i18n="achievements.expand">Click to read more →</button>
+                </div>`).join('');
+        },
+
+        renderFightRecord() {
+            const summary = document.getElementById('fightRecordSummary');
+            const filters = document.getElementById('fightRecordFilters');
+            const table = document.getElementById('fightRecordTable');
+            if (!summary || !filters || !table) return;
+
+            const bouts = FightLog.bouts();
+            const seasons = FightLog.seasons();
+            const medals = FightLog.medalCount();
+
+            summary.innerHTML = `
+                <div class="fight-record-stat">
+                    <span class="fight-record-stat-label" data-i18n="record.overall">Overall</span>
+                    <span class="fight-record-stat-value">${FightLog.score(FightLog.stats(bouts))}</span>
+                </div>
+                ${seasons.map(season => `
+                <div class="fight-record-stat" data-season="${season.season}">
+                    <span class="fight-record-stat-label">${season.season}</span>
+                    <span class="fight-record-stat-value">${FightLog.score(season)}</span>
+                </div>`).join('')}
+                ${FightLog.medals.filter(medal => medals[medal]).map(medal => `
+                <div class="fight-record-stat fight-record-medal ${medal}">
+                    <span class="fight-record-stat-label" data-i18n="record.medal.${medal}">${escapeHtml(medal[0].toUpperCase() + medal.slice(1))}</span>
+                    <span class="fight-record-stat-value">${medals[medal]}</span>
+                </div>`).join('')}`;
+
+            const select = (name, label, options) => `
+                <label class="fight-record-filter">
+                    <span data-i18n="record.filter.${name}">${label}</span>
+                    <select data-filter="${name}">
+                        <option value="all" data-i18n="record.filter.all">All</option>
+                        ${options.map(([value, text, key]) => `<option value="${escapeHtml(value)}"${key ? ` data-i18n="${key}"` : ''}>${escapeHtml(text)}</option>`).join('')}
+                    </select>
+                </label>`;
+
+            filters.innerHTML = [
+                select('level', 'Level', [['amateur', 'Amateur', 'record.level.amateur'], ['pro', 'Pro', 'record.level.pro']]),
+                select('season', 'Season', seasons.map(season => [season.season, season.season])),
+                select('result', 'Result', [['win', 'Win', 'record.result.win'], ['loss', 'Loss', 'record.result.loss'], ['draw', 'Draw', 'record.result.draw']])
+            ].join('');
+
+            const columns = [
+                ['date', 'Date'], ['event', 'Event'], ['location', 'Location'], ['level', 'Level'],
+                ['opponent', 'Opponent'], ['result', 'Result'], ['method', 'Method'], ['round', 'Round']
+            ];
+            const label = (key, text) => `<span data-i18n="${key}">${escapeHtml(text)}</span>`;
+            const capitalise = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+            table.querySelector('thead').innerHTML = `
+                <tr>${columns.map(([column, text]) => `
+                    <th scope="col" aria-sort="none"><button type="button" class="fight-record-sort" data-sort="${column}"><span data-i18n="record.column.${column}">${text}</span></button></th>`).join('')}
+                </tr>`;
+
+            // Each cell carries the value it sorts by; dates and rounds sort as numbers
+            table.querySelector('tbody').innerHTML = bouts.map(bout => `
+                <tr class="fight-record-row ${bout.result}" data-level="${bout.level}" data-season="${bout.season}" data-result="${bout.result}">
+                    <td data-value="${parseDate(bout.date).start + bout.index}"><time datetime="${escapeHtml(bout.date)}" data-i18n-date="${escapeHtml(bout.date)}" data-i18n-month="short">${escapeHtml(formatDate(bout.date, I18n.defaultLocale, 'short'))}</time></td>
+                    <td>${label(`record.event.${bout.event}.name`, bout.eventName)}</td>
+                    <td>${label(`record.event.${bout.event}.location`, bout.location)}</td>
+                    <td>${label(`record.level.${bout.level}`, capitalise(bout.level))}</td>
+                    <td>${bout.opponent ? escapeHtml(bout.opponent) : '–'}</td>
+                    <td class="fight-record-result">${label(`record.result.${bout.result}`, capitalise(bout.result))}</td>
+                    <td>${bout.method ? label(`record.method.${bout.method}`, bout.method.length > 2 ? capitalise(bout.method) : bout.method.toUpperCase()) : '–'}</td>
+                    <td data-value="${bout.round || 0}">${bout.round || '–'}</td>
+                </tr>`).join('');
+        },
+
+        renderEventHistory() {
+            const history = document.getElementById('eventHistory');
+            const list = document.getElementById('eventHistoryList');
+            if (!history || !list) return;
+
+            const events = Schedule.past();
+            history.hidden = !events.length;
+
+            // Events in the fight log show their record; others until results are in
+            list.innerHTML = events.map(event => {
+                const bouts = FightLog.bouts().filter(bout => bout.event === event.id);
+                const record = FightLog.event(event.id);
+                const medal = record && record.medal;
+                const result = bouts.length
+                    ? `<span class="event-history-score">${FightLog.score(FightLog.stats(bouts))}</span>${medal ? ` <span class="event-history-medal ${medal}" data-i18n="record.medal.${medal}">${medal.charAt(0).toUpperCase() + medal.slice(1)}</span>` : ''}`
+                    : '<span class="event-history-pending" data-i18n="achievements.history.pending">Results to follow</span>';
+
+                return `
+                <li class="event-history-item" data-event="${escapeHtml(event.id)}">
+                    ${this.eventDetails(event, 'event-history')}
+                    <div class="event-history-result">${result}</div>
+                </li>`;
+            }).join('');
+        },
+
+        renderUpcoming() {
+            const next = document.getElementById('upcomingNext');
+            const list = document.getElementById('upcomingList');
+            const empty = document.getElementById('upcomingEmpty');
+            const exportAll = document.getElementById('upcomingExport');
+            if (!next || !list) return;
+
+            const events = Schedule.upcoming();
+            const [first] = events;
+            next.hidden = !first;
+            if (empty) empty.hidden = Boolean(first);
+            if (exportAll) exportAll.hidden = !first;
+
+            if (first) {
+                const { start, end } = Schedule.span(first);
+                const units = [['days', 'Days'], ['hours', 'Hours'], ['minutes', 'Minutes'], ['seconds', 'Seconds']];
+                next.innerHTML = `
+                    <div class="upcoming-next-label" data-i18n="upcoming.next">Next Event</div>
+                    ${this.eventDetails(first, 'upcoming-next')}
+                    <div class="countdown" id="upcomingCountdown" role="timer" data-start="${start}" data-end="${end}">
+                        ${units.map(([unit, label]) => `
+                        <div class="countdown-unit">
+                            <span class="countdown-value" data-unit="${unit}">00</span>
+                            <span class="countdown-label" data-i18n="upcoming.countdown.${unit}">${label}</span>
+                        </div>`).join('')}
+                    </div>
+                    <p class="countdown-live" id="upcomingLive" data-i18n="upcoming.live" hidden>Happening now</p>`;
+            } else {
+                next.innerHTML = '';
+            }
+
+            list.innerHTML = events.map(event => `
+                <li class="upcoming-item" data-event="${escapeHtml(event.id)}">
+                    ${this.eventDetails(event, 'upcoming')}
+                    <button type="button" class="upcoming-ics" data-ics="${escapeHtml(event.id)}" data-i18n="upcoming.add">Add to calendar</button>
+                </li>`).join('');
+        },
+
+        /**
+         * Name, dates, place and federation of a calendar event
+         * @param {Object} event - Event from the content file
+         * @param {string} prefix - Class name prefix of the surrounding block
+         * @returns {string} HTML
+         */
+        eventDetails(event, prefix) {
+            const end = event.endDate ? ` data-i18n-date-end="${escapeHtml(event.endDate)}"` : '';
+            return `
+                <time class="${prefix}-date" datetime="${escapeHtml(event.date)}" data-i18n-date="${escapeHtml(event.date)}"${end}>${escapeHtml(formatDateRange(event.date, event.endDate, I18n.defaultLocale))}</time>
+                <div class="${prefix}-name" data-i18n="events.${event.id}.name">${escapeHtml(event.name)}</div>
+                <div class="${prefix}-location">${escapeHtml(event.city)}, <span data-i18n-region="${escapeHtml(event.country)}">${escapeHtml(formatCountry(event.country, I18n.defaultLocale))}</span></div>
+                <div class="${prefix}-federation">${escapeHtml(event.federation)}</div>`;
+        },
+
+        renderTimeline() {
+            const { sections, points, path, highlight } = TimelineLayout.layout(Content.data.timeline);
+            const sectionsGroup = document.getElementById('timelineSections');
+            const pointsGroup = document.getElementById('timelinePoints');
+            const pathElement = document.getElementById('timelinePath');
+            const highlightElement = document.getElementById('timelinePathHighlight');
+            const vertical = document.getElementById('timelineVertical');
+
+            if (sectionsGroup) {
+                sectionsGroup.innerHTML = sections.map(section => `
+                    <g class="timeline-section" data-section="${section.id}">
+                        <rect class="timeline-section-area" x="${section.x}" y="0" width="${section.width}" height="300"/>
+                        <text class="timeline-section-title" x="${section.x + 20}" y="35" data-i18n="timeline.section${section.id}">${escapeHtml(section.title)}</text>
+                        <text class="timeline-section-subtitle" x="${section.x + 20}" y="52" data-i18n="timeline.section${section.id}.sub">${escapeHtml(section.subtitle)}</text>
+                    </g>`).join('');
+            }
+
+            if (pathElement) pathElement.setAttribute('d', path);
+            if (highlightElement) highlightElement.setAttribute('d', highlight);
+
+            if (pointsGroup) {
+                pointsGroup.innerHTML = points.map(point => this.timelinePointSvg(point)).join('');
+            }
+
+            if (vertical) {
+                vertical.innerHTML = sections.map(section => `
+                    <div class="timeline-vertical-section">
+                        <div class="timeline-vertical-section-title" data-i18n="timeline.section${section.id}">${escapeHtml(section.title)}</div>
+                        <div class="timeline-vertical-section-subtitle" data-i18n="timeline.section${section.id}.sub">${escapeHtml(section.subtitle)}</div>
+                    </div>
+                    ${points.filter(point => point.section === section.id).map(point => `
+                    <div class="timeline-vertical-item ${point.status}" data-point="${escapeHtml(point.id)}" role="button" tabindex="0" aria-haspopup="dialog" aria-labelledby="timeline-item-${escapeHtml(point.id)}-label timeline-item-${escapeHtml(point.id)}-year">
+                        <div class="timeline-vertical-dot"></div>
+                        <div class="timeline-vertical-content">
+                            <div class="timeline-vertical-label" id="timeline-item-${escapeHtml(point.id)}-label" data-i18n="timeline.${point.id}">${escapeHtml(point.label || point.title)}</div>
+                            ${this.timelineDate(point, 'timeline-vertical-year', 'div', ` id="timeline-item-${escapeHtml(point.id)}-year"`)}
+                        </div>
+                    </div>`).join('')}`).join('');
+            }
+        },
+
+        /**
+         * The short date shown under a milestone: its year, or its dateLabel
+         * (e.g. "Near Future"), which is translatable
+         * @param {Object} point - Timeline point from the content file
+         * @param {string} className - Class of the element
+         * @param {string} tag - Element name
+         * @param {string} attributes - Extra attributes for the element
+         * @returns {string} Markup
+         */
+        timelineDate(point, className, tag, attributes = '') {
+            if (point.dateLabel) {
+                return `<${tag} class="${className}"${attributes} data-i18n="timeline.point.${point.id}.date">${escapeHtml(point.dateLabel)}</${tag}>`;
+            }
+            return `<${tag} class="${className}"${attributes}>${escapeHtml(String(point.date).slice(0, 4))}</${tag}>`;
+        },
+
+        /**
+         * Build the SVG markup for one milestone. Labels sit 30 units above or
+         * below the dot, over an invisible hit area that opens the milestone.
+         * The group is a button named by its label and date.
+         * @param {Object} point - Timeline point placed by TimelineLayout
+         * @returns {string} SVG markup
+         */
+        timelinePointSvg(point) {
+            const above = point.labelPosition === 'above';
+            const labelY = above ? point.y - 30 : point.y + 30;
+            const labelClass = point.status === 'planned' ? ' planned-label' : '';
+            const id = `timeline-point-${escapeHtml(point.id)}`;
+
+            return `
+                <g class="timeline-point-group timeline-point-clickable ${point.status}" data-point="${escapeHtml(point.id)}" data-section="${point.section}" role="button" tabindex="0" aria-haspopup="dialog" aria-labelledby="${id}-label ${id}-year">
+                    <rect class="timeline-point-hitarea" x="${point.x - 50}" y="${above ? point.y - 40 : point.y - 10}" width="100" height="${above ? 50 : 60}"/>
+                    <circle class="timeline-point-dot" cx="${point.x}" cy="${point.y}" r="6"/>
+                    <text class="timeline-point-label${labelClass}" id="${id}-label" x="${point.x}" y="${labelY}" text-anchor="middle" data-i18n="timeline.${point.id}">${escapeHtml(point.label || point.title)}</text>
+                    ${this.timelineDate(point, 'timeline-point-year', 'text', ` id="${id}-year" x="${point.x}" y="${labelY + 13}" text-anchor="middle"`)}
+                </g>`;
+        },
+
+        renderPartners() {
+            const container = document.getElementById('partnersGrid');
+            if (!container) return;
+
+            container.innerHTML = Content.data.partners.map(partner => `
+                <div class="partner-card reveal" data-partner="${escapeHtml(partner.id)}" role="button" tabindex="0" aria-haspopup="dialog" aria-labelledby="partner-${escapeHtml(partner.id)}-name">
+                    <img src="${escapeHtml(assetUrl(partner.image))}" alt="${escapeHtml(partner.imageAlt)}" class="partner-image">
+                    <div class="partner-content">
+                        <h3 id="partner-${escapeHtml(partner.id)}-name">${escapeHtml(partner.name)}</h3>
+                        <p class="partner-description" data-i18n="partners.${partner.id}.desc">${escapeHtml(partner.description)}</p>
+                        <div class="partner-role" data-i18n="partners.${partner.id}.role">${escapeHtml(partner.role)}</div>
+                    </div>
+                </div>`).join('');
+        },
+
+        renderPackages() {
+            const tiers = document.getElementById('packageTiers');
+            const addons = document.getElementById('packageAddons');
+            if (!tiers || !addons) return;
+
+            const price = value => `<span data-i18n-amount="${value}">${escapeHtml(Budget.format(value))}</span>`;
+            const { packages } = Content.data;
+            const selected = (packages.tiers.find(tier => tier.featured) || packages.tiers[0]).id;
+
+            tiers.innerHTML = packages.tiers.map(tier => `
+                <label class="package-tier${tier.featured ? ' featured' : ''}" data-tier="${escapeHtml(tier.id)}">
+                    <input type="radio" name="tier" value="${escapeHtml(tier.id)}"${tier.id === selected ? ' checked' : ''}>
+                    ${tier.featured ? '<span class="package-tier-badge" data-i18n="packages.featured">Most popular</span>' : ''}
+                    <span class="package-tier-name" data-i18n="packages.tier.${tier.id}">${escapeHtml(tier.name)}</span>
+                    <span class="package-tier-price">${price(tier.price)} <span data-i18n="packages.perYear">per year</span></span>
+                    <ul class="package-tier-benefits">
+                        ${tier.benefits.map((benefit, index) => `<li data-i18n="packages.tier.${tier.id}.benefit${index + 1}">${escapeHtml(benefit)}</li>`).join('')}
+                    </ul>
+                </label>`).join('');
+
+            addons.innerHTML = packages.addons.map(addon => `
+                <label class="package-addon" data-addon="${escapeHtml(addon.id)}">
+                    <input type="checkbox" name="addon" value="${escapeHtml(addon.id)}">
+                    <span class="package-addon-text">
+                        <span class="package-addon-name" data-i18n="packages.addon.${addon.id}">${escapeHtml(addon.name)}</span>
+                        <span class="package-addon-desc" data-i18n="packages.addon.${addon.id}.desc">${escapeHtml(addon.description)}</span>
+                    </span>
+                    <span class="package-addon-price">+ ${price(addon.price)}</span>
+                </label>`).join('');
+        },
+
+        /**
+         * Render the album filter chips and the photo track, one labelled run of photos per album
+         */
+        renderGallery() {
+            const filters = document.getElementById('galleryFilters');
+            const track = document.getElementById('galleryTrack');
+            if (!filters || !track) return;
+
+            const { albums, photos } = Content.data.gallery;
+
+            filters.innerHTML = `
+                <button type="button" class="gallery-filter active" data-album="all" aria-pressed="true" data-i18n="gallery.filter.all">All</button>` +
+                albums.map(album => `
+                <button type="button" class="gallery-filter" data-album="${escapeHtml(album.id)}" aria-pressed="false" data-i18n="gallery.album.${album.id}">${escapeHtml(album.title)}</button>`).join('');
+
+            track.innerHTML = albums.map(album => {
+                const items = photos.filter(photo => photo.album === album.id).map(photo => `
+                <div class="gallery-item" data-album="${escapeHtml(album.id)}" data-event="${escapeHtml(album.event || '')}" data-year="${escapeHtml(album.year || '')}">
+                    <button type="button" class="gallery-open" aria-haspopup="dialog">
+                        ${pictureHtml(photo.full, {
+                            sizes: '(max-width: 768px) 280px, 350px',
+                            fallback: photo.thumbnail,
+                            attributes: `data-image="${escapeHtml(photo.full)}" alt="${escapeHtml(photo.alt)}"${photo.caption ? ` data-caption="${escapeHtml(photo.caption)}"` : ''} loading="lazy"`
+                        })}
+                    </button>
+                </div>`).join('');
+
+                return `
+                <div class="gallery-section-label" data-album="${escapeHtml(album.id)}" data-i18n="gallery.album.${album.id}">${escapeHtml(album.title)}</div>${items}`;
+            }).join('');
+        },
+
+        // YouTube-style play button drawn over video thumbnails
+        playIcon: '<svg viewBox="0 0 68 48" width="68" height="48"><path d="M66.52,7.74c-0.78-2.93-2.49-5.41-5.42-6.19C55.79,.13,34,0,34,0S12.21,.13,6.9,1.55 C3.97,2.33,2.27,4.81,1.48,7.74C0.06,13.05,0,24,0,24s0.06,10.95,1.48,16.26c0.78,2.93,2.49,5.41,5.42,6.19 C12.21,47.87,34,48,34,48s21.79-0.13,27.1-1.55c2.93-0.78,4.64-3.26,5.42-6.19C67.94,34.95,68,24,68,24S67.94,13.05,66.52,7.74z" fill="#212121"></path><path d="M 45,24 27,14 27,34" fill="#fff"></path></svg>',
+
+        renderVideos() {
+            const track = document.getElementById('videoTrack');
+            if (!track) return;
+
+            const { sections, items } = Content.data.videos;
+
+            track.innerHTML = sections.map(section => {
+                const videos = items.filter(video => video.section === section.id).map(video => {
+                    // Self-hosted files live in the repo; embed IDs are used as they are
+                    const source = video.provider === 'file' ? assetUrl(video.source) : video.source;
+                    return `
+                <div class="video-item${video.orientation === 'landscape' ? ' landscape' : ''}" data-provider="${escapeHtml(video.provider)}" data-source="${escapeHtml(source)}" data-title="${escapeHtml(video.title)}">
+                    <img class="video-thumbnail" src="${escapeHtml(assetUrl(video.thumbnail))}" alt="${escapeHtml(video.title)}" loading="lazy">
+                    <div class="video-play-btn">${this.playIcon}</div>
+                </div>`;
+                }).join('');
+
+                return `
+                <div class="gallery-section-label" data-i18n="videos.section.${section.id}">${escapeHtml(section.title)}</div>${videos}`;
+            }).join('');
+        },
+
+        renderBudget() {
+            const total = document.querySelector('#budgetItems .budget-total');
+            const totalAmount = document.getElementById('budgetTotalAmount');
+            const currencies = document.getElementById('budgetCurrencies');
+            const chart = document.getElementById('budgetChart');
+            const rates = document.getElementById('budgetRates');
+            if (!total) return;
+
+            const { lines } = Content.data.budget;
+            const sum = Content.budgetTotal();
+            const amount = (value, attributes = '') => `<span data-i18n-amount="${value}"${attributes}>${escapeHtml(Budget.format(value))}</span>`;
+
+            // Pages pre-rendered by scripts/build.js already carry the lines
+            total.parentElement.querySelectorAll('.budget-item').forEach(item => item.remove());
+
+            // Amounts and shares are formatted by LanguageSwitcher.applyTranslations,
+            // so they follow both the page language and the selected currency
+            total.insertAdjacentHTML('beforebegin', lines.map((line, index) => `
+                <div class="budget-item" data-budget-line="${escapeHtml(line.id)}" style="--segment-color: ${Budget.color(index)}">
+                    <div class="budget-item-info">
+                        <h3 id="budgetLabel-${escapeHtml(line.id)}" data-i18n="budget.${line.id}">${escapeHtml(line.label)}</h3>
+                        <p data-i18n="budget.${line.id}.desc">${escapeHtml(line.description)}</p>
+                    </div>
+                    <div class="budget-item-figures">
+                        <div class="budget-item-amount">${amount(line.amount, ` id="budgetAmount-${escapeHtml(line.id)}"`)}</div>
+                        <div class="budget-item-share" id="budgetShare-${escapeHtml(line.id)}" data-i18n-percent="${line.amount / sum}">${escapeHtml(Budget.percent(line.amount / sum))}</div>
+                    </div>
+                </div>`).join(''));
+
+            if (totalAmount) {
+                totalAmount.innerHTML = amount(sum);
+            }
+
+            if (currencies) {
+                currencies.innerHTML = Budget.currencies().map(currency => `
+                    <button type="button" class="budget-currency" data-currency="${currency}" aria-pressed="${currency === Budget.active()}">${currency}</button>`).join('');
+            }
+
+            if (rates) {
+                const { date } = Content.data.budget.rates;
+                rates.hidden = Budget.active() === Content.data.budget.currency;
+                rates.innerHTML = `<span data-i18n="budget.rates">Converted at the exchange rates of</span> <time datetime="${date}" data-i18n-date="${date}">${escapeHtml(formatDate(date, I18n.defaultLocale))}</time>`;
+            }
+
+            if (chart) {
+                // Circles with a circumference of 100, so dash lengths are percentages
+                const radius = 100 / (2 * Math.PI);
+                let offset = 0;
+                chart.querySelector('.budget-chart-segments').innerHTML = lines.map((line, index) => {
+                    const share = line.amount / sum * 100;
+                    const segment = `
+                        <circle class="budget-segment" data-budget-line="${escapeHtml(line.id)}" cx="21" cy="21" r="${radius.toFixed(4)}"
+                            stroke-dasharray="${share.toFixed(3)} ${(100 - share).toFixed(3)}" stroke-dashoffset="${(25 - offset).toFixed(3)}"
+                            style="--segment-color: ${Budget.color(index)}" tabindex="0" role="img"
+                            aria-labelledby="budgetLabel-${escapeHtml(line.id)} budgetAmount-${escapeHtml(line.id)} budgetShare-${escapeHtml(line.id)}"/>`;
+                    offset += share;
+                    return segment;
+                }).join('');
+                chart.querySelector('.budget-chart-total').innerHTML = amount(sum);
+            }
+        },
+
+        /**
+         * Fill the printable sponsor dossier from the same content as the page.
+         * Its text is tagged with the page's data-i18n keys, so it prints in the current language.
+         */
+        renderDossier() {
+            const facts = document.getElementById('dossierFacts');
+            const record = document.getElementById('dossierRecord');
+            const achievements = document.getElementById('dossierAchievements');
+            const budget = document.getElementById('dossierBudget');
+            const budgetTotal = document.getElementById('dossierBudgetTotal');
+            const partners = document.getElementById('dossierPartners');
+            const contact = document.getElementById('dossierContact');
+            if (!facts || !achievements || !budget) return;
+
+            const { profile, budget: { lines } } = Content.data;
+            const sum = Content.budgetTotal();
+            const medals = FightLog.medalCount();
+            const entry = (label, value) => `<div><dt>${label}</dt><dd>${value}</dd></div>`;
+
+            facts.innerHTML = profile.facts.map(fact => entry(
+                `<span data-i18n="about.${fact.id}">${escapeHtml(fact.label)}</span>`,
+                `<span data-i18n="about.${fact.id}.value">${escapeHtml(fact.value)}</span>`)).join('');
+
+            record.innerHTML = [
+                entry('<span data-i18n="record.overall">Overall</span>', FightLog.score(FightLog.stats(FightLog.bouts()))),
+                ...FightLog.medals.filter(medal => medals[medal]).map(medal => entry(
+                    `<span data-i18n="record.medal.${medal}">${escapeHtml(medal[0].toUpperCase() + medal.slice(1))}</span>`, medals[medal]))
+            ].join('');
+
+            achievements.innerHTML = Content.data.achievements.map(item => `
+                <li>
+                    <span class="dossier-achievement-year">${escapeHtml(item.year)}</span>
+                    <div>
+                        <div class="dossier-achievement-title" data-i18n="achievements.${item.id}.title">${escapeHtml(item.title)}</div>
+                        <div class="dossier-achievement-meta">
+                            <span data-i18n="achievements.${item.id}.location">${escapeHtml(item.location)}</span> ·
+                            <span data-i18n="achievements.${item.id}.result">${escapeHtml(FightLog.resultLine(item.id, I18n.defaultLocale) || item.result)}</span>
+                        </div>
+                    </div>
+                </li>`).join('');
+
+            budget.innerHTML = lines.map(line => `
+                <tr>
+                    <th scope="row">
+                        <span data-i18n="budget.${line.id}">${escapeHtml(line.label)}</span>
+                        <span class="dossier-budget-description" data-i18n="budget.${line.id}.desc">${escapeHtml(line.description)}</span>
+                    </th>
+                    <td data-i18n-amount="${line.amount}">${escapeHtml(Budget.format(line.amount))}</td>
+                    <td data-i18n-percent="${line.amount / sum}">${escapeHtml(Budget.percent(line.amount / sum))}</td>
+                </tr>`).join('');
+            budgetTotal.dataset.i18nAmount = sum;
+            budgetTotal.textContent = Budget.format(sum);
+
+            partners.innerHTML = Content.data.partners.map(partner => `
+                <li>
+                    <span class="dossier-partner-name">${escapeHtml(partner.name)}</span> ·
+                    <span class="dossier-partner-role" data-i18n="partners.${partner.id}.role">${escapeHtml(partner.role)}</span>
+                    <div class="dossier-partner-description" data-i18n="partners.${partner.id}.desc">${escapeHtml(partner.description)}</div>
+                </li>`).join('');
+
+            contact.innerHTML = [
+                entry('<span data-i18n="contact.email">Email</span>', escapeHtml(profile.contact.email)),
+                entry('Instagram', `@${escapeHtml(profile.contact.instagram)}`),
+                entry('TikTok', `@${escapeHtml(profile.contact.tiktok)}`),
+                entry('<span data-i18n="dossier.website">Website</span>', escapeHtml(profile.contact.website))
+            ].join('');
+        }
+    };
+
+    // ============================================
+    // Package Builder Module
+    // ============================================
+    const PackageBuilder = {
+        form: document.getElementById('packageBuilder'),
+        summary: document.getElementById('packageSummaryBody'),
+        send: document.getElementById('packageSend'),
+
+        init() {
+            if (!this.form || !this.summary) return;
+
+            this.form.addEventListener('change', () => this.update());
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+
+            // The email is written when it is sent, so it is always in the current language
+            if (this.send) {
+                this.send.addEventListener('click', () => {
+                    this.send.href = this.mailto();
+                });
+            }
+
+            this.update();
+        },
+
+        /**
+         * The chosen tier and add-ons with their prices
+         * @returns {{tier: Object|null, addons: Object[], total: number, share: number}}
+         */
+        selection() {
+            const { tiers, addons } = Content.data.packages;
+            const data = new FormData(this.form);
+            const tier = tiers.find(item => item.id === data.get('tier')) || null;
+            const chosen = addons.filter(addon => data.getAll('addon').includes(addon.id));
+            const total = (tier ? tier.price : 0) + chosen.reduce((sum, addon) => sum + addon.price, 0);
+
+            return { tier, addons: chosen, total, share: total / Content.budgetTotal() };
+        },
+
+        /**
+         * Re-render the summary. Names and amounts carry data-i18n attributes, so
+         * a language or currency switch updates them in place.
+         */
+        update() {
+            const { tier, addons, total, share } = this.selection();
+            const price = value => `<span data-i18n-amount="${value}">${escapeHtml(Budget.format(value))}</span>`;
+            const row = (key, name, value) => `
+                <div class="package-summary-row">
+                    <dt data-i18n="${key}">${escapeHtml(name)}</dt>
+                    <dd>${price(value)}</dd>
+                </div>`;
+
+            this.form.querySelectorAll('[data-tier]').forEach(label => {
+                label.classList.toggle('selected', Boolean(tier) && label.dataset.tier === tier.id);
+            });
+
+            this.summary.innerHTML = `
+                <dl class="package-summary-lines">
+                    ${tier ? row(`packages.tier.${tier.id}`, tier.name, tier.price) : ''}
+                    ${addons.map(addon => row(`packages.addon.${addon.id}`, addon.name, addon.price)).join('')}
+                </dl>
+                <div class="package-summary-total">
+                    <span data-i18n="packages.total">Total per year</span>
+                    <strong>${price(total)}</strong>
+                </div>
+                <div class="package-coverage">
+                    <div class="package-coverage-label">
+                        <span data-i18n="packages.coverage">Share of my yearly budget</span>
+                        <strong data-i18n-percent="${share}">${escapeHtml(Budget.percent(share))}</strong>
+                    </div>
+                    <div class="package-coverage-bar" aria-hidden="true"><span style="width: ${Math.min(share, 1) * 100}%"></span></div>
+                </div>`;
+
+            LanguageSwitcher.applyTranslations(this.summary);
+        },
+
+        /**
+         * A mailto: link with the selected package spelled out in the page language
+         * @returns {string} URL
+         */
+        mailto() {
+            const { tier, addons, total, share } = this.selection();
+            const name = tier ? I18n.t(`packages.tier.${tier.id}`) : '';
+            const lines = [I18n.t('packages.mail.intro', { package: name, price: tier ? Budget.format(tier.price) : '' }), ''];
+
+            if (tier) {
+                lines.push(I18n.t('packages.mail.benefits'));
+                tier.benefits.forEach((benefit, index) => lines.push(`- ${I18n.t(`packages.tier.${tier.id}.benefit${index + 1}`)}`));
+                lines.push('');
+            }
+            if (addons.length) {
+                lines.push(I18n.t('packages.mail.addons'));
+                addons.forEach(addon => lines.push(`- ${I18n.t(`packages.addon.${addon.id}`)} (${Budget.format(addon.price)})`));
+                lines.push('');
+            }
+            lines.push(I18n.t('packages.mail.total', { total: Budget.format(total), share: Budget.percent(share) }), '', I18n.t('packages.mail.outro'));
+
+            const subject = I18n.t('packages.mail.subject', { package: name });
+            return `mailto:${Content.data.profile.contact.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n').replace(/\n/g, '\r\n'))}`;
+        }
+    };
+
+    // ============================================
+    // Contact Form Module
+    // ============================================
+    const ContactForm = {
+        form: document.getElementById('contactForm'),
+        status: document.getElementById('contactFormStatus'),
+        honeypot: 'website',
+
+        // Ways to deliver a message. json posts to the configured endpoint;
+        // without one, mailto hands the message to the visitor's email program.
+        adapters: {
+            json: {
+                send(message, endpoint) {
+                    return fetch(endpoint, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                        body: JSON.stringify(message)
+                    }).then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Contact endpoint answered HTTP ${response.status}`);
+                        }
+                    });
+                }
+            },
+            mailto: {
+                send(message) {
+                    location.href = ContactForm.mailto(message);
+                    return Promise.resolve();
+                }
+            }
+        },
+
+        init() {
+            if (!this.form) return;
+
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit();
+            });
+
+            // Fields are checked once left, then again on every change until they are valid
+            this.form.addEventListener('focusout', (e) => {
+                if (this.fields().includes(e.target) && e.target.value) this.validate(e.target);
+            });
+            this.form.addEventListener('input', (e) => {
+                if (e.target.getAttribute('aria-invalid') === 'true') this.validate(e.target);
+            });
+        },
+
+        /**
+         * The fields that are validated, without the honeypot
+         * @returns {HTMLElement[]} Form fields
+         */
+        fields() {
+            return [...this.form.elements].filter(field => field.willValidate && field.name && field.name !== this.honeypot);
+        },
+
+        /**
+         * The translated error for a field's current value
+         * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+         * @returns {{key: string, params: Object}|null} Null if the value is valid
+         */
+        error(field) {
+            const value = field.value.trim();
+            if (field.required && !value) return { key: 'contact.form.error.required', params: {} };
+            if (field.type === 'email' && field.validity.typeMismatch) return { key: 'contact.form.error.email', params: {} };
+            if (field.minLength > 0 && value.length < field.minLength) {
+                return { key: 'contact.form.error.short', params: { min: field.minLength } };
+            }
+            return null;
+        },
+
+        /**
+         * Show or clear a field's error message
+         * @param {HTMLElement} field
+         * @returns {boolean} True if the field is valid
+         */
+        validate(field) {
+            const error = this.error(field);
+            const message = document.getElementById(field.getAttribute('aria-describedby'));
+
+            field.setAttribute('aria-invalid', String(Boolean(error)));
+            if (message) {
+                message.hidden = !error;
+                if (error) {
+                    // Tagged like any translated element, so a language switch updates it
+                    message.dataset.i18n = error.key;
+                    message.dataset.i18nParams = JSON.stringify(error.params);
+                    message.textContent = I18n.t(error.key, error.params);
+                }
+            }
+            return !error;
+        },
+
+        /**
+         * The form's values as the message that is sent
+         * @returns {Object} Message fields
+         */
+        message() {
+            const data = new FormData(this.form);
+            const value = name => String(data.get(name) || '').trim();
+            return {
+                name: value('name'),
+                company: value('company'),
+                email: value('email'),
+                type: value('type'),
+                message: value('message'),
+                locale: I18n.locale
+            };
+        },
+
+        /**
+         * Validate the form and send it with the adapter for the configured endpoint
+         */
+        submit() {
+            const invalid = this.fields().filter(field => !this.validate(field));
+            if (invalid.length) {
+                invalid[0].focus();
+                return;
+            }
+
+            // Bots fill in the hidden field; let them think it worked
+            if (this.form.elements[this.honeypot].value) {
+                this.form.reset();
+                this.setState('success');
+                return;
+            }
+
+            const endpoint = Content.data.profile.contact.endpoint;
+            const adapter = endpoint ? this.adapters.json : this.adapters.mailto;
+            const message = this.message();
+            const submit = this.form.querySelector('[type="submit"]');
+
+            this.setState('sending');
+            submit.disabled = true;
+
+            adapter.send(message, endpoint)
+                .then(() => {
+                    this.setState(adapter === this.adapters.mailto ? 'mailto' : 'success');
+                    if (adapter !== this.adapters.mailto) this.form.reset();
+                })
+                .catch(error => {
+                    console.error('Failed to send the contact form:', error);
+                    this.setState('error', message);
+                })
+                .finally(() => {
+                    submit.disabled = false;
+                });
+        },
+
+        /**
+         * Show the sending, success or error state below the form
+         * @param {string} state - 'sending', 'success', 'mailto' or 'error'
+         * @param {Object} message - The unsent message, offered by email on error
+         */
+        setState(state, message) {
+            this.form.dataset.state = state;
+            this.status.innerHTML = `<p data-i18n="contact.form.status.${state}">${escapeHtml(I18n.t(`contact.form.status.${state}`))}</p>`;
+
+            if (state === 'error') {
+                this.status.insertAdjacentHTML('beforeend', `
+                    <a class="form-fallback link-cta-arrow" href="${escapeHtml(this.mailto(message))}" data-i18n="contact.form.fallback">${escapeHtml(I18n.t('contact.form.fallback'))}</a>`);
+            }
+        },
+
+        /**
+         * A mailto: link carrying the message, in the page language
+         * @param {Object} message - Message fields
+         * @returns {string} URL
+         */
+        mailto(message) {
+            const type = message.type ? I18n.t(`contact.form.type.${message.type}`) : '';
+            const subject = I18n.t('contact.form.mail.subject', { type, name: message.name });
+            const sender = [message.name, message.company, message.email].filter(Boolean).join('\n');
+            const body = `${message.message}\n\n${sender}`.replace(/\n/g, '\r\n');
+
+            return `mailto:${Content.data.profile.contact.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        }
+    };
+
+    // ============================================
+    // Sponsor Dossier Module
+    // ============================================
+    const Dossier = {
+        element: document.getElementById('dossier'),
+        date: document.getElementById('dossierDate'),
+
+        init() {
+            if (!this.element) return;
+
+            // The print styles swap the page for the dossier, so it is also what the
+            // browser's own Print command produces
+            window.addEventListener('beforeprint', () => this.stamp());
+            document.querySelectorAll('[data-print-dossier]').forEach(button => {
+                button.addEventListener('click', () => this.print());
+            });
+        },
+
+        /**
+         * Date the dossier with today, in the page language
+         */
+        stamp() {
+            const today = new Date().toISOString().slice(0, 10);
+            this.date.dateTime = today;
+            this.date.dataset.i18nDate = today;
+            this.date.textContent = formatDate(today, I18n.locale);
+        },
+
+        /**
+         * Open the print dialog once the dossier's images are ready to print
+         * @returns {Promise<void>}
+         */
+        print() {
+            this.stamp();
+            const images = [...this.element.querySelectorAll('img')];
+            return Promise.all(images.map(img => img.decode().catch(() => {})))
+                .then(() => window.print());
+        }
+    };
+
+    // ============================================
+    // Slides Module
+    // ============================================
+    // Instagram portrait posts (1080×1350) drawn on a canvas from the content file,
+    // in the page language, so they can be saved as PNG straight from the browser
+    const Slides = {
+        width: 1080,
+        height: 1350,
+        margin: 80,
+        colors: {
+            background: '#0a0a0a',
+            accent: '#cc1111',
+            text: '#ffffff',
+            muted: 'rgba(255, 255, 255, 0.75)',
+            gold: '#d4af37',
+            silver: '#c0c0c0',
+            bronze: '#cd7f32'
+        },
+        // Loaded before drawing, as a canvas does not wait for web fonts
+        fonts: ['400 100px Anton', '300 30px Barlow', '500 30px Barlow', '600 30px Barlow'],
+        images: {},
+
+        // Each template lists the content it can show (if it needs a choice), the
+        // extra images it draws, and draws itself once fonts and images are loaded.
+        // Its name in the picker is the message slides.template.<key>.
+        templates: {
+            facts: {
+                draw(ctx, id, images) {
+                    const { width, margin } = Slides;
+                    const { profile } = Content.data;
+
+                    Slides.backdrop(ctx, images.photo, 0.2);
+                    Slides.write(ctx, I18n.t('slides.facts.title'), margin, margin, { font: '400 120px Anton', uppercase: true, shadow: true });
+
+                    // Facts alternate between the right and the left edge, down the photo
+                    const top = 300;
+                    const step = 660 / Math.max(profile.facts.length - 1, 1);
+                    profile.facts.forEach((fact, index) => {
+                        const right = index % 2 === 0;
+                        const x = right ? width - margin : margin;
+                        const y = top + index * step;
+
+                        ctx.fillStyle = Slides.colors.accent;
+                        ctx.fillRect(right ? x - 48 : x, y, 48, 5);
+                        const next = Slides.write(ctx, I18n.t(`about.${fact.id}`), x, y + 18, { font: '600 24px Barlow', color: Slides.colors.muted, align: right ? 'right' : 'left', width: 440, uppercase: true, shadow: true });
+                        Slides.write(ctx, I18n.t(`about.${fact.id}.value`), x, next + 4, { font: '600 42px Barlow', align: right ? 'right' : 'left', width: 440, shadow: true });
+                    });
+
+                    const y = Slides.write(ctx, profile.name, width / 2, 1030, { font: '400 76px Anton', align: 'center', uppercase: true, shadow: true });
+                    Slides.write(ctx, profile.nickname, width / 2, y + 4, { font: '300 40px Barlow', color: Slides.colors.muted, align: 'center', shadow: true });
+                    Slides.footer(ctx, images.logo);
+                }
+            },
+
+            result: {
+                /**
+                 * Events with fights in the log, most recent first
+                 * @returns {Array<{id: string, label: string}>}
+                 */
+                items() {
+                    const bouts = FightLog.bouts();
+                    return Content.data.record.events
+                        .filter(event => bouts.some(bout => bout.event === event.id))
+                        .sort((a, b) => parseDate(b.date).start - parseDate(a.date).start)
+                        .map(event => ({ id: event.id, label: `${I18n.t(`record.event.${event.id}.name`)} (${formatDate(event.date, I18n.locale, 'short')})` }));
+                },
+
+                draw(ctx, id, images) {
+                    const { width, margin, colors } = Slides;
+                    const event = FightLog.event(id);
+                    const bouts = FightLog.bouts().filter(bout => bout.event === id);
+                    const stats = FightLog.stats(bouts);
+                    const score = FightLog.score(stats);
+
+                    Slides.backdrop(ctx, images.photo, 0.5);
+                    ctx.fillStyle = colors.accent;
+                    ctx.fillRect(0, 0, 14, Slides.height);
+
+                    let y = Slides.write(ctx, I18n.t('slides.result.kicker'), margin, 380, { font: '600 28px Barlow', color: colors.accent, uppercase: true });
+                    y = Slides.write(ctx, I18n.t(`record.event.${id}.name`), margin, y + 16, { font: '400 92px Anton', uppercase: true, lineHeight: 98 });
+                    y = Slides.write(ctx, `${I18n.t(`record.event.${id}.location`)} · ${formatDate(event.date, I18n.locale)}`, margin, y + 16, { font: '400 32px Barlow', color: colors.muted });
+
+                    // The record in big figures, with the medal and the tallies beside it
+                    y += 40;
+                    Slides.write(ctx, score, margin, y, { font: '400 190px Anton', lineHeight: 200 });
+                    const x = margin + ctx.measureText(score).width + 48;
+                    let side = y + 36;
+                    if (event.medal) {
+                        side = Slides.write(ctx, I18n.plural(`record.medals.${event.medal}`, 1), x, side, { font: '400 56px Anton', color: colors[event.medal], uppercase: true, width: width - margin - x });
+                    }
+                    const tallies = [I18n.plural('record.fights', stats.fights), I18n.plural('record.wins', stats.wins)];
+                    if (stats.losses) tallies.push(I18n.plural('record.losses', stats.losses));
+                    if (stats.draws) tallies.push(I18n.plural('record.draws', stats.draws));
+                    Slides.write(ctx, tallies.join(', '), x, side + 8, { font: '500 30px Barlow', color: colors.muted, width: width - margin - x });
+
+                    // One chip per bout, in fight order
+                    const chips = bouts.map(bout => [
+                        I18n.t(`record.result.${bout.result}`),
+                        bout.method && I18n.t(`record.method.${bout.method}`),
+                        bout.round && `${I18n.t('record.column.round')} ${bout.round}`
+                    ].filter(Boolean).join(' · '));
+                    Slides.chips(ctx, chips, bouts.map(bout => bout.result === 'win'), margin, y + 240);
+
+                    Slides.footer(ctx, images.logo);
+                }
+            },
+
+            upcoming: {
+                /**
+                 * Events that have not ended yet, soonest first
+                 * @returns {Array<{id: string, label: string}>}
+                 */
+                items() {
+                    return Schedule.upcoming().map(event => ({
+                        id: event.id,
+                        label: `${I18n.t(`events.${event.id}.name`)} (${formatDateRange(event.date, event.endDate, I18n.locale)})`
+                    }));
+                },
+
+                draw(ctx, id, images) {
+                    const { margin, colors } = Slides;
+                    const event = Schedule.event(id);
+                    const { start } = Schedule.span(event);
+                    const days = Math.ceil((start - Date.now()) / 86400000);
+
+                    Slides.backdrop(ctx, images.photo, 0.45);
+
+                    let y = Slides.write(ctx, I18n.t('slides.upcoming.kicker'), margin, 420, { font: '600 28px Barlow', color: colors.accent, uppercase: true });
+                    y = Slides.write(ctx, I18n.t(`events.${id}.name`), margin, y + 16, { font: '400 104px Anton', uppercase: true, lineHeight: 110 });
+                    y = Slides.write(ctx, formatDateRange(event.date, event.endDate, I18n.locale), margin, y + 24, { font: '600 44px Barlow' });
+                    y = Slides.write(ctx, `${event.city}, ${formatCountry(event.country, I18n.locale)}`, margin, y + 8, { font: '400 36px Barlow', color: colors.muted });
+                    y = Slides.chips(ctx, [event.federation], [true], margin, y + 32);
+
+                    const countdown = days > 0 ? I18n.plural('slides.upcoming.days', days) : I18n.t('upcoming.live');
+                    Slides.write(ctx, countdown, margin, y + 48, { font: '400 72px Anton', color: colors.accent, uppercase: true });
+                    Slides.footer(ctx, images.logo);
+                }
+            },
+
+            thanks: {
+                /**
+                 * Current partners, in page order
+                 * @returns {Array<{id: string, label: string}>}
+                 */
+                items() {
+                    return Content.data.partners.map(partner => ({ id: partner.id, label: partner.name }));
+                },
+
+                images(id) {
+                    return { partner: Content.data.partners.find(partner => partner.id === id).image };
+                },
+
+                draw(ctx, id, images) {
+                    const { width, colors } = Slides;
+                    const partner = Content.data.partners.find(item => item.id === id);
+                    const size = 380;
+
+                    Slides.backdrop(ctx, images.photo, 0.55);
+
+                    // The partner's picture, framed in the middle
+                    ctx.fillStyle = colors.text;
+                    ctx.fillRect((width - size) / 2 - 8, 152, size + 16, size + 16);
+                    if (images.partner) Slides.cover(ctx, images.partner, (width - size) / 2, 160, size, size, 0.5);
+
+                    let y = Slides.write(ctx, I18n.t('slides.thanks.title'), width / 2, 600, { font: '400 132px Anton', align: 'center', uppercase: true });
+                    y = Slides.write(ctx, partner.name, width / 2, y + 8, { font: '400 60px Anton', color: colors.accent, align: 'center', uppercase: true });
+                    y = Slides.write(ctx, I18n.t(`partners.${id}.role`), width / 2, y + 16, { font: '600 32px Barlow', align: 'center' });
+                    Slides.write(ctx, I18n.t(`partners.${id}.desc`), width / 2, y + 24, { font: '400 32px Barlow', color: colors.muted, align: 'center', width: 860, lineHeight: 44 });
+                    Slides.footer(ctx, images.logo);
+                }
+            }
+        },
+
+        /**
+         * Wait for the fonts the slides use
+         * @returns {Promise<void>}
+         */
+        ready() {
+            if (!document.fonts) return Promise.resolve();
+            return Promise.all(this.fonts.map(font => document.fonts.load(font)))
+                .then(() => undefined, () => undefined);
+        },
+
+        /**
+         * Load an image once. A missing image resolves to null, so the slide is
+         * drawn without it rather than not at all.
+         * @param {string} src - Site-relative path
+         * @returns {Promise<HTMLImageElement|null>}
+         */
+        image(src) {
+            if (!this.images[src]) {
+                this.images[src] = new Promise(resolve => {
+                    const img = new Image();
+                    img.onload = () => resolve(img);
+                    img.onerror = () => resolve(null);
+                    img.src = assetUrl(src);
+                });
+            }
+            return this.images[src];
+        },
+
+        /**
+         * Draw a slide onto a canvas
+         * @param {HTMLCanvasElement} canvas
+         * @param {string} name - Template name, e.g. "result"
+         * @param {string|null} id - Id of the event or partner the slide is about
+         * @returns {Promise<void>}
+         */
+        render(canvas, name, id) {
+            const template = this.templates[name];
+            const sources = {
+                photo: Content.data.slides.photos[name],
+                logo: Content.data.slides.logo,
+                ...(template.images ? template.images(id) : {})
+            };
+            const names = Object.keys(sources);
+
+            return Promise.all([this.ready(), ...names.map(key => this.image(sources[key]))])
+                .then(([, ...loaded]) => {
+                    canvas.width = this.width;
+                    canvas.height = this.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.clearRect(0, 0, this.width, this.height);
+                    template.draw(ctx, id, Object.fromEntries(names.map((key, index) => [key, loaded[index]])));
+                });
+        },
+
+        /**
+         * Draw an image scaled to fill a box, cropping what overflows
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {HTMLImageElement} img
+         * @param {number} x
+         * @param {number} y
+         * @param {number} width
+         * @param {number} height
+         * @param {number} focus - Which part stays when cropping vertically, 0 (top) to 1 (bottom)
+         */
+        cover(ctx, img, x, y, width, height, focus) {
+            const scale = Math.max(width / img.naturalWidth, height / img.naturalHeight);
+            const sourceWidth = width / scale;
+            const sourceHeight = height / scale;
+            ctx.drawImage(img, (img.naturalWidth - sourceWidth) / 2, (img.naturalHeight - sourceHeight) * focus,
+                sourceWidth, sourceHeight, x, y, width, height);
+        },
+
+        /**
+         * Fill the slide with a darkened photo that fades to black at the bottom
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {HTMLImageElement|null} img
+         * @param {number} shade - Darkening over the whole photo, 0 to 1
+         */
+        backdrop(ctx, img, shade) {
+            ctx.fillStyle = this.colors.background;
+            ctx.fillRect(0, 0, this.width, this.height);
+            if (img) this.cover(ctx, img, 0, 0, this.width, this.height, 0.2);
+
+            ctx.fillStyle = `rgba(0, 0, 0, ${shade})`;
+            ctx.fillRect(0, 0, this.width, this.height);
+
+            const fade = ctx.createLinearGradient(0, this.height * 0.4, 0, this.height);
+            fade.addColorStop(0, 'rgba(10, 10, 10, 0)');
+            fade.addColorStop(1, 'rgba(10, 10, 10, 0.95)');
+            ctx.fillStyle = fade;
+            ctx.fillRect(0, 0, this.width, this.height);
+        },
+
+        /**
+         * Split text into lines no wider than a width
+         * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+         * @param {string} text
+         * @param {number} width - Maximum line width in pixels
+         * @returns {string[]} Lines
+         */
+        wrap(ctx, text, width) {
+            return String(text).split(/\s+/).reduce((lines, word) => {
+                const last = lines[lines.length - 1];
+                if (last !== undefined && ctx.measureText(`${last} ${word}`).width <= width) {
+                    lines[lines.length - 1] = `${last} ${word}`;
+                } else {
+                    lines.push(word);
+                }
+                return lines;
+            }, []);
+        },
+
+        /**
+         * Draw text from its top edge, wrapped to a width
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {string} text
+         * @param {number} x - Left, right or centre of the text, depending on align
+         * @param {number} y - Top of the first line
+         * @param {Object} style - font, and optionally color, align, width, lineHeight,
+         *   uppercase and shadow (for text over a photo)
+         * @returns {number} The y below the last line
+         */
+        write(ctx, text, x, y, style) {
+            const size = Number(style.font.match(/(\d+)px/)[1]);
+            const lineHeight = style.lineHeight || Math.round(size * 1.2);
+
+            ctx.font = `${style.font}, sans-serif`;
+            ctx.fillStyle = style.color || this.colors.text;
+            ctx.textAlign = style.align || 'left';
+            ctx.textBaseline = 'top';
+            ctx.shadowColor = style.shadow ? 'rgba(0, 0, 0, 0.85)' : 'transparent';
+            ctx.shadowBlur = style.shadow ? 14 : 0;
+
+            const value = style.uppercase ? String(text).toLocaleUpperCase(I18n.locale) : String(text);
+            const lines = this.wrap(ctx, value, style.width || this.width - 2 * this.margin);
+            lines.forEach((line, index) => ctx.fillText(line, x, y + index * lineHeight));
+
+            ctx.shadowColor = 'transparent';
+            return y + lines.length * lineHeight;
+        },
+
+        /**
+         * Draw labels as a row of chips, wrapping onto a new row when full
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {string[]} labels
+         * @param {boolean[]} filled - Per chip: filled with the accent colour, or only outlined
+         * @param {number} x - Left of the first chip
+         * @param {number} y - Top of the first row
+         * @returns {number} The y below the last row
+         */
+        chips(ctx, labels, filled, x, y) {
+            const height = 56;
+            const gap = 14;
+            let left = x;
+            let top = y;
+
+            ctx.font = '600 26px Barlow, sans-serif';
+            labels.forEach((label, index) => {
+                const text = label.toLocaleUpperCase(I18n.locale);
+                const width = ctx.measureText(text).width + 44;
+                if (left > x && left + width > this.width - this.margin) {
+                    left = x;
+                    top += height + gap;
+                }
+
+                if (filled[index]) {
+                    ctx.fillStyle = this.colors.accent;
+                    ctx.fillRect(left, top, width, height);
+                } else {
+                    ctx.strokeStyle = this.colors.muted;
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(left + 1, top + 1, width - 2, height - 2);
+                }
+                ctx.fillStyle = this.colors.text;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(text, left + 22, top + height / 2);
+                left += width + gap;
+            });
+            return top + height;
+        },
+
+        /**
+         * Logo, website and handle along the bottom of every slide
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {HTMLImageElement|null} logo
+         */
+        footer(ctx, logo) {
+            const { contact } = Content.data.profile;
+            const y = this.height - 140;
+            let x = this.margin;
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.fillRect(this.margin, y, this.width - 2 * this.margin, 2);
+
+            if (logo) {
+                const height = 76;
+                const width = logo.naturalWidth * height / logo.naturalHeight;
+                ctx.drawImage(logo, x, y + 30, width, height);
+                x += width + 24;
+            }
+            this.write(ctx, contact.website, x, y + 34, { font: '400 36px Anton' });
+            this.write(ctx, `@${contact.instagram}`, x, y + 80, { font: '400 24px Barlow', color: this.colors.muted });
+        }
+    };
+
+    // ============================================
+    // Slide Studio Module
+    // ============================================
+    // The page behind slides.html: pick a template, what it shows and the language,
+    // preview the slide and save it as PNG
+    const SlideStudio = {
+        canvas: document.getElementById('slideCanvas'),
+        template: document.getElementById('slideTemplate'),
+        item: document.getElementById('slideItem'),
+        language: document.getElementById('slideLanguage'),
+        download: document.getElementById('slideDownload'),
+        empty: document.getElementById('slideEmpty'),
+        // Draws run one after the other, so the last choice is the one shown
+        drawing: Promise.resolve(),
+
+        init() {
+            const params = new URLSearchParams(location.search);
+
+            this.renderTemplates();
+            this.language.innerHTML = I18n.locales.map(locale => `
+                <option value="${locale.code}">${escapeHtml(locale.name)}</option>`).join('');
+
+            // Links can preselect a slide, e.g. slides.html?template=result&item=ifp-essen-2026&lang=de
+            if (Slides.templates[params.get('template')]) this.template.value = params.get('template');
+            this.language.value = I18n.isSupported(params.get('lang')) ? params.get('lang') : LanguageSwitcher.initialLocale();
+
+            this.template.addEventListener('change', () => {
+                this.renderItems();
+                this.draw();
+            });
+            this.item.addEventListener('change', () => this.draw());
+            this.language.addEventListener('change', () => {
+                LanguageSwitcher.switchLanguage(this.language.value).then(() => {
+                    this.renderTemplates();
+                    this.renderItems();
+                    this.draw();
+                });
+            });
+            this.download.addEventListener('click', () => this.save());
+
+            return LanguageSwitcher.switchLanguage(this.language.value).then(() => {
+                this.renderTemplates();
+                this.renderItems(params.get('item'));
+                return this.draw();
+            });
+        },
+
+        /**
+         * Offer the templates, named in the page language
+         */
+        renderTemplates() {
+            const selected = this.template.value;
+            this.template.innerHTML = Object.keys(Slides.templates).map(name => `
+                <option value="${name}">${escapeHtml(I18n.t(`slides.template.${name}`))}</option>`).join('');
+            if (selected) this.template.value = selected;
+        },
+
+        /**
+         * Offer what the selected template can show, keeping the current choice if possible
+         * @param {string} preferred - Id to select if the template offers it
+         */
+        renderItems(preferred = this.item.value) {
+            const template = Slides.templates[this.template.value];
+            const items = template.items ? template.items() : [];
+
+            this.item.innerHTML = items.map(item => `
+                <option value="${escapeHtml(item.id)}">${escapeHtml(item.label)}</option>`).join('');
+            if (items.some(item => item.id === preferred)) this.item.value = preferred;
+            this.item.closest('label').hidden = !template.items;
+        },
+
+        /**
+         * Draw the selected slide, or explain why there is none
+         * @returns {Promise<void>}
+         */
+        draw() {
+            const name = this.template.value;
+            const id = this.item.value || null;
+            const missing = Boolean(Slides.templates[name].items) && !id;
+
+            this.empty.hidden = !missing;
+            this.canvas.hidden = missing;
+            this.download.disabled = missing;
+            if (missing) return this.drawing;
+
+            // A failed slide is reported, and the next choice is still drawn
+            this.drawing = this.drawing
+                .then(() => Slides.render(this.canvas, name, id))
+                .catch(error => console.error('Failed to draw the slide:', error));
+            return this.drawing;
+        },
+
+        /**
+         * Save the slide on screen as a PNG named after what it shows
+         */
+        save() {
+            const name = [this.template.value, this.item.value, this.language.value].filter(Boolean).join('-');
+            this.drawing.then(() => {
+                this.canvas.toBlob(blob => saveFile(`${name}.png`, blob), 'image/png');
+            });
+        }
+    };
+
+    // ============================================
+    // Navigation Module
+    // ============================================
+    const Navigation = {
+        navbar: document.getElementById('navbar'),
+        menuToggle: document.getElementById('menuToggle'),
+        sidebarNav: document.getElementById('sidebarNav'),
+        sidebarOverlay: document.getElementById('sidebarOverlay'),
+        progressBar: document.getElementById('readingProgress'),
+        lastScrolled: false,
+        // Scroll-spy state: the sections in page order with the nav links they
+        // mark ({ element, links }), the one being read and whether scrolling
+        // may rewrite the hash yet (see jumpToHash)
+        navLinks: [],
+        sections: [],
+        currentSection: null,
+        syncHash: false,
+
+        init() {
+            this.initNavbarScroll();
+            this.initScrollSpy();
+            this.initSidebar();
+            this.initSmoothScroll();
+        },
+
+        initNavbarScroll() {
+            window.addEventListener('scroll', () => {
+                const isScrolled = window.scrollY > 100;
+                if (isScrolled !== this.lastScrolled) {
+                    this.navbar.classList.toggle('scrolled', isScrolled);
+                    this.lastScrolled = isScrolled;
+                }
+            });
+        },
+
+        /**
+         * Follow the section being read: mark its link in the navbar and the
+         * sidebar, fill the reading-progress bar and keep the hash in step.
+         * Sections without a link of their own (e.g. achievements) mark the
+         * link of the section before them.
+         */
+        initScrollSpy() {
+            const links = Array.from(document.querySelectorAll('.nav-links a[href^="#"], #sidebarNav a[href^="#"]'));
+            let linked = null;
+
+            this.sections = Array.from(document.querySelectorAll('main section[id]')).map(element => {
+                const hash = `#${element.id}`;
+                if (links.some(link => link.getAttribute('href') === hash)) linked = hash;
+                return { element, links: links.filter(link => link.getAttribute('href') === linked) };
+            });
+            this.navLinks = links;
+
+            let frame = null;
+            const schedule = () => {
+                if (frame) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    this.updateScrollSpy();
+                });
+            };
+            window.addEventListener('scroll', schedule, { passive: true });
+            window.addEventListener('resize', schedule);
+            this.updateScrollSpy();
+        },
+
+        updateScrollSpy() {
+            const root = document.documentElement;
+            const scrollable = root.scrollHeight - window.innerHeight;
+            if (this.progressBar) {
+                const progress = scrollable > 0 ? Math.min(1, window.scrollY / scrollable) : 0;
+                this.progressBar.style.transform = `scaleX(${progress})`;
+            }
+
+            const section = this.sectionInView(scrollable);
+            if (section !== this.currentSection) {
+                this.currentSection = section;
+                this.navLinks.forEach(link => {
+                    const active = Boolean(section) && section.links.includes(link);
+                    link.classList.toggle('active', active);
+                    if (active) {
+                        link.setAttribute('aria-current', 'location');
+                    } else {
+                        link.removeAttribute('aria-current');
+                    }
+                });
+            }
+            this.replaceHash(section);
+        },
+
+        /**
+         * The last section whose top has reached the bottom of the navbar, or
+         * the last one once the page is scrolled to the end
+         * @param {number} scrollable - Height the page can scroll
+         * @returns {Object|null} Entry of this.sections
+         */
+        sectionInView(scrollable) {
+            const visible = this.sections.filter(section => section.element.getClientRects().length > 0);
+            if (visible.length && scrollable > 0 && window.scrollY >= scrollable - 2) {
+                return visible[visible.length - 1];
+            }
+
+            const line = this.navbar.offsetHeight + 2;
+            let current = null;
+            for (const section of visible) {
+                if (section.element.getBoundingClientRect().top > line) break;
+                current = section;
+            }
+            return current;
+        },
+
+        /**
+         * Put the section being read in the address bar without adding history
+         * entries. The top of the page has no hash, open views keep theirs, and
+         * so do links into the section being read (e.g. "#gallery/spud-lake").
+         * @param {Object|null} section - Entry of this.sections
+         */
+        replaceHash(section) {
+            if (!this.syncHash || Router.activeSection) return;
+
+            const hash = section && section !== this.sections[0] ? `#${section.element.id}` : '';
+            if (hash === location.hash || (hash && location.hash.startsWith(`${hash}/`))) return;
+            history.replaceState(history.state, '', hash || location.pathname + location.search);
+        },
+
+        /**
+         * Scroll to the section in the hash on load, below the fixed navbar. The
+         * browser's own jump ignores the navbar and happens before the content is
+         * rendered. View hashes such as "#achievements/euro" are left to the Router.
+         * Scrolling keeps the hash up to date from then on.
+         */
+        jumpToHash() {
+            const target = location.hash && !Router.parse(location.hash)
+                ? document.getElementById(location.hash.slice(1))
+                : null;
+            if (target) this.scrollToSection(target, 'instant');
+            this.syncHash = true;
+        },
+
+        initSidebar() {
+            this.menuToggle.addEventListener('click', () => {
+                if (this.sidebarNav.classList.contains('active')) {
+                    this.closeSidebar();
+                } else {
+                    this.openSidebar();
+                }
+            });
+
+            // The sidebar is a modal layer; clicking the overlay closes it
+            Modal.setup(this.sidebarNav, {
+                backdrop: this.sidebarOverlay,
+                onClose: () => this.closeSidebar(),
+                label: 'Menu'
+            });
+
+            // Close sidebar when clicking a link
+            this.sidebarNav.querySelectorAll('a').forEach(link => {
+                link.addEventListener('click', () => this.closeSidebar());
+            });
+        },
+
+        openSidebar() {
+            this.menuToggle.classList.add('active');
+            this.sidebarOverlay.classList.add('active');
+            Modal.open(this.sidebarNav);
+        },
+
+        closeSidebar() {
+            this.menuToggle.classList.remove('active');
+            this.sidebarOverlay.classList.remove('active');
+            Modal.close(this.sidebarNav);
+        },
+
+        initSmoothScroll() {
+            document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+                anchor.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const href = anchor.getAttribute('href');
+                    const target = document.getElementById(href.slice(1));
+                    if (target) {
+                        this.scrollToSection(target, Theme.scrollBehavior());
+                        history.pushState(null, null, href);
+                        // Keyboard focus follows to targets that take it (the skip link's <main>)
+                        if (target.hasAttribute('tabindex')) {
+                            target.focus({ preventScroll: true });
+                        }
+                    }
+                });
+            });
+        },
+
+        /**
+         * Scroll a section into view below the fixed navbar
+         * @param {HTMLElement} target - The section element
+         * @param {string} behavior - Scroll behavior ('smooth', 'instant' or 'auto')
+         */
+        scrollToSection(target, behavior = 'auto') {
+            const navbarHeight = this.navbar.offsetHeight;
+            const targetPosition = target.getBoundingClientRect().top + window.pageYOffset;
+            window.scrollTo({
+                top: targetPosition - navbarHeight,
+                behavior
+            });
+        }
+    };
+
+    // ============================================
+    // Router Module
+    // ============================================
+    const Router = {
+        routes: {},
+        activeSection: null,
+
+        /**
+         * Register a deep-linkable view under a section anchor, e.g. "#achievements/euro"
+         * @param {string} section - Section id used as the first hash segment
+         * @param {Object} route - View handlers
+         * @param {Function} route.open - Opens the view for a parameter; returns false if it does not exist
+         * @param {Function} route.close - Closes the view without touching history
+         * @param {Function} route.anchor - Optional hash to leave behind when a shared view is closed
+         */
+        register(section, route) {
+            this.routes[section] = route;
+        },
+
+        init() {
+            window.addEventListener('popstate', () => this.handle(location.hash));
+
+            // Open a deep link on load with its section scrolled into place behind the view
+            const target = this.parse(location.hash);
+            if (target && this.routes[target.section]) {
+                const section = document.getElementById(target.section);
+                if (section) Navigation.scrollToSection(section);
+                this.handle(location.hash);
+            }
+        },
+
+        /**
+         * Split a view hash into its section and parameter
+         * @param {string} hash - A location hash, e.g. "#gallery/7"
+         * @returns {Object|null} { section, param } or null for plain section anchors
+         */
+        parse(hash) {
+            const match = /^#([\w-]+)\/(.+)$/.exec(hash || '');
+            if (!match) return null;
+            return { section: match[1], param: decodeURIComponent(match[2]) };
+        },
+
+        /**
+         * Bring the open view in line with a hash: close what no longer matches, open what does
+         * @param {string} hash - A location hash
+         */
+        handle(hash) {
+            const target = this.parse(hash);
+            const route = target && this.routes[target.section];
+            const opened = Boolean(route) && route.open(target.param) !== false;
+
+            if (this.activeSection && (!opened || target.section !== this.activeSection)) {
+                this.routes[this.activeSection].close();
+                this.activeSection = null;
+            }
+
+            if (opened) {
+                if (target.section !== this.activeSection) {
+                    Analytics.track('modal_open', { view: target.section, id: target.param });
+                }
+                this.activeSection = target.section;
+            }
+        },
+
+        /**
+         * Open a view from the UI and record it in history. Moving within an
+         * open view replaces its entry, so Back always closes the view.
+         * @param {string} section - Registered section id
+         * @param {string|number} param - View parameter, e.g. an achievement id or "spud-lake/3"
+         */
+        navigate(section, param) {
+            const hash = `#${section}/${String(param).split('/').map(encodeURIComponent).join('/')}`;
+            if (hash === location.hash && this.activeSection === section) return;
+
+            if (this.activeSection) {
+                history.replaceState(history.state, '', hash);
+            } else {
+                history.pushState({ view: section }, '', hash);
+            }
+            this.handle(hash);
+        },
+
+        /**
+         * Close a view from the UI (close button, backdrop, Escape)
+         * @param {string} section - Registered section id
+         */
+        dismiss(section) {
+            const route = this.routes[section];
+            if (!route) return;
+
+            route.close();
+            if (this.activeSection !== section) return;
+            this.activeSection = null;
+
+            // Pop the entry we pushed; a view opened from a shared link falls back to its section anchor
+            if (history.state && history.state.view) {
+                history.back();
+            } else {
+                history.replaceState(null, '', route.anchor ? route.anchor() : `#${section}`);
+            }
+        }
+    };
+
+    // ============================================
+    // Scroll Effects Module
+    // ============================================
+    const ScrollEffects = {
+        init() {
+            const reveals = document.querySelectorAll('.reveal');
+            const sections = document.querySelectorAll('section[id]');
+
+            const revealObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        if (entry.target.classList.contains('reveal')) {
+                            entry.target.classList.add('active');
+                        }
+                        if (entry.target.matches('section[id]')) {
+                            Analytics.track('section_view', { section: entry.target.id });
+                        }
+                        // Stop observing once revealed (one-time animation, one view per visit)
+                        revealObserver.unobserve(entry.target);
+                    }
+                });
+            }, {
+                // Trigger when element is 100px from bottom of viewport
+                rootMargin: '0px 0px -100px 0px',
+                threshold: 0
+            });
+
+            reveals.forEach(element => revealObserver.observe(element));
+            sections.forEach(element => revealObserver.observe(element));
+        }
+    };
+
+    // ============================================
+    // Timeline Module
+    // ============================================
+    const Timeline = {
+        container: null,
+        svgContainer: null,
+        svg: null,
+        // Zoom frames read from the section groups in the SVG, in document order
+        sections: [],
+        currentSection: 0,
+        base: null,
+        viewBox: null,
+        // Closest zoom, as a multiple of the full timeline width
+        maxZoom: 4,
+        // Margin around a section's milestones when zooming to it, in SVG units
+        framePadding: 20,
+        transitionDuration: 450,
+        swipeThreshold: 50,
+        pointers: new Map(),
+        gesture: null,
+        animation: null,
+        suppressClick: false,
+        inView: false,
+
+        init() {
+            // SVG is now embedded in HTML, just setup interactions
+            this.setupInteractions();
+            TimelinePointModal.init();
+        },
+
+        setupInteractions() {
+            this.container = document.getElementById('timelineContainer');
+            this.svgContainer = document.getElementById('timelineSvgContainer');
+            this.svg = this.svgContainer && this.svgContainer.querySelector('svg');
+            if (!this.container || !this.svg) return;
+
+            const zoomOutBtn = document.getElementById('timelineZoomOut');
+            const navPrev = document.getElementById('timelineNavPrev');
+            const navNext = document.getElementById('timelineNavNext');
+
+            this.base = this.parseViewBox(this.svg.getAttribute('viewBox'));
+            this.viewBox = { ...this.base };
+            this.sections = this.measureSections();
+
+            // Initialize zoom state for mobile
+            if (this.isMobile()) {
+                this.zoomToSection(0);
+                this.container.classList.add('mobile-mode');
+            }
+
+            // Handle resize
+            window.addEventListener('resize', () => {
+                if (this.isMobile()) {
+                    // On mobile, always stay zoomed
+                    if (!this.container.classList.contains('zoomed')) {
+                        this.zoomToSection(0);
+                    }
+                    this.container.classList.add('mobile-mode');
+                } else {
+                    // On desktop, zoom out if in mobile mode
+                    if (this.container.classList.contains('mobile-mode')) {
+                        this.zoomOut();
+                        this.container.classList.remove('mobile-mode');
+                    }
+                }
+            });
+
+            // Zoom controls
+            zoomOutBtn.addEventListener('click', () => this.zoomOut());
+            navPrev.addEventListener('click', () => this.step(-1));
+            navNext.addEventListener('click', () => this.step(1));
+
+            this.initGestures();
+            this.initKeyboard();
+            this.updateNavButtons();
+        },
+
+        /**
+         * Read each <g class="timeline-section"> and the milestones tagged with
+         * its id into the viewBox that frames it, keeping the SVG's aspect ratio
+         * @returns {Array<{id: string, x: number, y: number, width: number, height: number}>}
+         */
+        measureSections() {
+            return [...this.svg.querySelectorAll('.timeline-section')].map(group => {
+                const area = group.querySelector('.timeline-section-area');
+                const left = parseFloat(area.getAttribute('x'));
+                const right = left + parseFloat(area.getAttribute('width'));
+                let top = parseFloat(area.getAttribute('y')) || 0;
+                let bottom = top + parseFloat(area.getAttribute('height'));
+
+                // Frame the milestones vertically where the browser can measure them
+                const points = [...this.svg.querySelectorAll(`.timeline-point-group[data-section="${group.dataset.section}"]`)]
+                    .filter(point => typeof point.getBBox === 'function')
+                    .map(point => point.getBBox());
+                if (points.length) {
+                    top = Math.min(...points.map(box => box.y)) - this.framePadding;
+                    bottom = Math.max(...points.map(box => box.y + box.height)) + this.framePadding;
+                }
+
+                return { id: group.dataset.section, ...this.fit(left, top, right - left, bottom - top) };
+            });
+        },
+
+        /**
+         * Grow a rectangle to the SVG's aspect ratio around its centre and keep
+         * it inside the full timeline
+         * @param {number} x - Left edge in SVG units
+         * @param {number} y - Top edge in SVG units
+         * @param {number} width
+         * @param {number} height
+         * @returns {{x: number, y: number, width: number, height: number}}
+         */
+        fit(x, y, width, height) {
+            const ratio = this.base.width / this.base.height;
+            const fitted = width / height > ratio
+                ? { width, height: width / ratio }
+                : { width: height * ratio, height };
+
+            fitted.width = Math.min(Math.max(fitted.width, this.base.width / this.maxZoom), this.base.width);
+            fitted.height = fitted.width / ratio;
+            fitted.x = x + width / 2 - fitted.width / 2;
+            fitted.y = y + height / 2 - fitted.height / 2;
+            return this.clamp(fitted);
+        },
+
+        /**
+         * Move a viewBox back inside the full timeline
+         * @param {{x: number, y: number, width: number, height: number}} box
+         * @returns {{x: number, y: number, width: number, height: number}}
+         */
+        clamp(box) {
+            return {
+                ...box,
+                x: Math.min(Math.max(box.x, this.base.x), this.base.x + this.base.width - box.width),
+                y: Math.min(Math.max(box.y, this.base.y), this.base.y + this.base.height - box.height)
+            };
+        },
+
+        parseViewBox(value) {
+            const [x, y, width, height] = value.split(/[\s,]+/).map(Number);
+            return { x, y, width, height };
+        },
+
+        isMobile() {
+            return window.innerWidth <= 768;
+        },
+
+        /**
+         * Zoom to a section of the timeline
+         * @param {number} index - Position of the section in the SVG, from 0
+         */
+        zoomToSection(index) {
+            const section = this.sections[index];
+            if (!section) return;
+
+            this.currentSection = index;
+            this.container.classList.add('zoomed');
+            this.animateTo(section);
+            this.updateNavButtons();
+        },
+
+        /**
+         * Move to the neighbouring section
+         * @param {number} direction - -1 for the previous section, 1 for the next
+         */
+        step(direction) {
+            const index = this.currentSection + direction;
+            if (index >= 0 && index < this.sections.length) {
+                this.zoomToSection(index);
+            }
+        },
+
+        zoomOut() {
+            if (this.isMobile()) return;
+            this.container.classList.remove('zoomed');
+            this.animateTo(this.base);
+            this.updateNavButtons();
+        },
+
+        updateNavButtons() {
+            const navPrev = document.getElementById('timelineNavPrev');
+            const navNext = document.getElementById('timelineNavNext');
+            navPrev.disabled = this.currentSection <= 0;
+            navNext.disabled = this.currentSection >= this.sections.length - 1;
+        },
+
+        isZoomed() {
+            return this.container && this.container.classList.contains('zoomed');
+        },
+
+        /**
+         * Ease the viewBox towards a target, or jump there for reduced motion
+         * @param {{x: number, y: number, width: number, height: number}} target
+         */
+        animateTo(target) {
+            cancelAnimationFrame(this.animation);
+
+            if (Theme.reduceMotion()) {
+                this.setViewBox(target);
+                return;
+            }
+
+            const from = { ...this.viewBox };
+            const started = performance.now();
+            const frame = (now) => {
+                const progress = Math.min((now - started) / this.transitionDuration, 1);
+                const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
+                const box = {};
+                ['x', 'y', 'width', 'height'].forEach(key => {
+                    box[key] = from[key] + (target[key] - from[key]) * eased;
+                });
+
+                this.setViewBox(box);
+                if (progress < 1) this.animation = requestAnimationFrame(frame);
+            };
+            this.animation = requestAnimationFrame(frame);
+        },
+
+        setViewBox(box) {
+            this.viewBox = box;
+            this.svg.setAttribute('viewBox', ['x', 'y', 'width', 'height'].map(key => +box[key].toFixed(2)).join(' '));
+        },
+
+        /**
+         * Pick up the state after a free pan or pinch: the section under the
+         * centre becomes current, and zooming all the way out leaves zoom mode
+         */
+        syncToViewBox() {
+            const centre = this.viewBox.x + this.viewBox.width / 2;
+            const index = this.sections.findIndex(section => centre < section.x + section.width);
+            this.currentSection = index === -1 ? this.sections.length - 1 : index;
+
+            const zoomed = this.viewBox.width < this.base.width * 0.99;
+            if (!zoomed) this.setViewBox(this.base);
+            this.container.classList.toggle('zoomed', zoomed || this.isMobile());
+            this.updateNavButtons();
+        },
+
+        /**
+         * Convert a screen position to SVG units within the current viewBox
+         * @param {number} clientX
+         * @param {number} clientY
+         * @returns {{x: number, y: number, rx: number, ry: number}} SVG point, and
+         *   its position across the SVG element from 0 to 1
+         */
+        toSvgPoint(clientX, clientY) {
+            const rect = this.svg.getBoundingClientRect();
+            return {
+                x: this.viewBox.x + (clientX - rect.left) / rect.width * this.viewBox.width,
+                y: this.viewBox.y + (clientY - rect.top) / rect.height * this.viewBox.height,
+                rx: (clientX - rect.left) / rect.width,
+                ry: (clientY - rect.top) / rect.height
+            };
+        },
+
+        /**
+         * Zoom by a factor around a screen position, keeping that point in place
+         * @param {number} factor - Above 1 zooms in
+         * @param {number} clientX
+         * @param {number} clientY
+         */
+        zoomAt(factor, clientX, clientY) {
+            cancelAnimationFrame(this.animation);
+
+            const focus = this.toSvgPoint(clientX, clientY);
+            if (!Number.isFinite(focus.x)) return;
+
+            const width = Math.min(Math.max(this.viewBox.width / factor, this.base.width / this.maxZoom), this.base.width);
+            const height = width * this.base.height / this.base.width;
+
+            this.setViewBox(this.clamp({
+                x: focus.x - focus.rx * width,
+                y: focus.y - focus.ry * height,
+                width,
+                height
+            }));
+            this.syncToViewBox();
+        },
+
+        /**
+         * Scroll the zoomed timeline sideways
+         * @param {number} dx - Distance in screen pixels
+         */
+        pan(dx) {
+            cancelAnimationFrame(this.animation);
+
+            const rect = this.svg.getBoundingClientRect();
+            if (!rect.width) return;
+            this.setViewBox(this.clamp({ ...this.viewBox, x: this.viewBox.x - dx / rect.width * this.viewBox.width }));
+            this.syncToViewBox();
+        },
+
+        // Touch swipe and pinch, mouse drag, and trackpad pan and pinch (ctrl+wheel)
+        initGestures() {
+            this.svgContainer.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+            this.svgContainer.addEventListener('pointermove', (e) => this.onPointerMove(e));
+            ['pointerup', 'pointercancel'].forEach(type => {
+                this.svgContainer.addEventListener(type, (e) => this.onPointerUp(e));
+            });
+
+            // A drag should not also open the milestone it started on
+            this.svgContainer.addEventListener('click', (e) => {
+                if (!this.suppressClick) return;
+                this.suppressClick = false;
+                e.stopPropagation();
+                e.preventDefault();
+            }, true);
+
+            this.svgContainer.addEventListener('wheel', (e) => {
+                if (e.ctrlKey) {
+                    e.preventDefault();
+                    this.zoomAt(Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+                } else if (this.isZoomed() && Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+                    e.preventDefault();
+                    this.pan(-e.deltaX);
+                }
+            }, { passive: false });
+        },
+
+        onPointerDown(e) {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pointers.size === 2) {
+                const [a, b] = [...this.pointers.values()];
+                this.gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y) };
+                this.svgContainer.setPointerCapture(e.pointerId);
+            } else if (this.pointers.size === 1) {
+                this.gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, lastX: e.clientX, moved: false };
+            }
+        },
+
+        onPointerMove(e) {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+                const [a, b] = [...this.pointers.values()];
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                if (this.gesture.distance) {
+                    this.zoomAt(distance / this.gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+                }
+                this.gesture.distance = distance;
+                return;
+            }
+
+            const gesture = this.gesture;
+            if (!gesture.moved) {
+                const dx = e.clientX - gesture.startX;
+                // Vertical movement is left to the page scroll
+                if (Math.abs(dx) < 8 || Math.abs(dx) < Math.abs(e.clientY - gesture.startY)) return;
+                gesture.moved = true;
+                this.svgContainer.setPointerCapture(e.pointerId);
+                this.svgContainer.classList.add('panning');
+            }
+
+            if (this.isZoomed()) this.pan(e.clientX - gesture.lastX);
+            gesture.lastX = e.clientX;
+        },
+
+        onPointerUp(e) {
+            if (!this.pointers.delete(e.pointerId) || !this.gesture) return;
+
+            const gesture = this.gesture;
+            if (gesture.type === 'pinch') {
+                // Lifting one finger ends the pinch without starting a swipe
+                if (!this.pointers.size) this.gesture = null;
+                return;
+            }
+
+            this.gesture = null;
+            this.svgContainer.classList.remove('panning');
+            if (!gesture.moved) return;
+
+            this.suppressClick = true;
+            setTimeout(() => { this.suppressClick = false; }, 0);
+
+            const dx = e.clientX - gesture.startX;
+            if (!this.isZoomed()) return;
+            if (Math.abs(dx) > this.swipeThreshold) {
+                this.step(dx < 0 ? 1 : -1);
+            } else {
+                this.zoomToSection(this.currentSection);
+            }
+        },
+
+        /**
+         * Arrow keys move between sections while the timeline has focus, or
+         * while it is on screen and nothing else is taking the keys. Tabbing to
+         * a milestone outside the framed section moves the frame to it.
+         */
+        initKeyboard() {
+            this.svgContainer.addEventListener('focusin', (e) => {
+                const point = e.target.closest('.timeline-point-group');
+                if (!point || !this.isZoomed()) return;
+
+                const index = this.sections.findIndex(section => section.id === point.dataset.section);
+                if (index !== -1 && index !== this.currentSection) {
+                    this.zoomToSection(index);
+                }
+            });
+
+            if ('IntersectionObserver' in window) {
+                new IntersectionObserver(entries => {
+                    this.inView = entries[entries.length - 1].intersectionRatio >= 0.5;
+                }, { threshold: [0, 0.5] }).observe(this.container);
+            }
+
+            document.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || Modal.top()) return;
+
+                const active = document.activeElement;
+                const focused = this.container.contains(active);
+                const idle = !active || active === document.body;
+                if (!focused && !(this.inView && idle)) return;
+
+                const direction = e.key === 'ArrowLeft' ? -1 : 1;
+                if (this.isZoomed()) {
+                    this.step(direction);
+                } else if (focused) {
+                    this.zoomToSection(direction === 1 ? 0 : this.sections.length - 1);
+                } else {
+                    return;
+                }
+                e.preventDefault();
+            });
+        }
+    };
+
+    // ============================================
+    // Timeline Point Modal Module
+    // ============================================
+    const TimelinePointModal = {
+        modal: null,
+        init() {
+            this.modal = document.getElementById('timelinePointModal');
+            if (!this.modal) return;
+
+            const closeBtn = document.getElementById('timelinePointModalClose');
+            const points = document.getElementById('timelinePoints');
+
+            // Setup modal close behavior
+            Modal.setup(this.modal, {
+                closeButton: closeBtn,
+                contentElement: document.querySelector('.timeline-point-modal-content'),
+                onClose: () => Router.dismiss('journey'),
+                labelledBy: 'timelinePointModalTitle'
+            });
+
+            Router.register('journey', {
+                open: (pointId) => this.openPoint(pointId),
+                close: () => Modal.close(this.modal)
+            });
+
+            // Event delegation for milestone clicks. Pointer clicks land on the hit
+            // area; Enter and Space on the focused group click the group itself.
+            if (points) {
+                points.addEventListener('click', (e) => {
+                    const group = e.target.closest('.timeline-point-group');
+                    if (!group) return;
+                    e.stopPropagation();
+                    Router.navigate('journey', group.dataset.point);
+                });
+            }
+
+            // Add click handlers for vertical timeline items (mobile)
+            document.querySelectorAll('.timeline-vertical-item').forEach(item => {
+                item.addEventListener('click', () => Router.navigate('journey', item.dataset.point));
+            });
+
+        },
+
+        getTranslatedContent(point) {
+            const optional = field => {
+                const key = `timeline.point.${point.id}.${field}`;
+                return I18n.has(key) ? I18n.t(key) : '';
+            };
+            return {
+                title: I18n.t(`timeline.point.${point.id}.title`),
+                description: optional('description'),
+                progress: optional('progress'),
+                date: optional('date') || formatDate(point.date, I18n.locale)
+            };
+        },
+
+        /**
+         * Open the modal for a milestone from the content file. Goals that are
+         * not achieved yet show their target date and a progress note.
+         * @param {string} pointId - Timeline point id, e.g. "euro"
+         * @returns {boolean} False if no milestone has this id
+         */
+        openPoint(pointId) {
+            const point = Content.timelinePoint(pointId);
+            if (!point) return false;
+
             const content = this.getTranslatedContent(point);
-            const image = point.dataset.image;
-            const year = point.dataset.year;
+            const achieved = point.status === 'achieved';
+            const status = document.getElementById('timelinePointModalStatus');
+            const progress = document.getElementById('timelinePointModalProgress');
+
+            document.getElementById('timelinePointModalTitle').textContent = content.title;
+            document.getElementById('timelinePointModalDescription').textContent = content.description || '';
+            document.getElementById('timelinePointModalYear').textContent = achieved
+                ? content.date
+                : I18n.t('timeline.target', { date: content.date });
+
+            status.textContent = I18n.t(`timeline.status.${point.status}`);
+            status.dataset.status = point.status;
+            progress.textContent = achieved ? '' : content.progress;
+            progress.hidden = !progress.textContent;
+
+            const imageContainer = document.getElementById('timelinePointModalImage');
+            const img = document.getElementById('timelinePointModalImg');
+
+            if (point.image) {
+                setPicture(img, point.image, '(max-width: 540px) 100vw, 500px');
+                img.alt = content.title;
+                img.style.objectPosition = point.imagePosition || '';
+                imageContainer.classList.remove('no-image');
+                img.style.display = 'block';
+            } else {
+                img.style.display = 'none';
+                imageContainer.classList.add('no-image');
+            }
+
+            Modal.open(this.modal);
+            return true;
+        }
+    };
+
+    // ============================================
+    // Upcoming Events Module
+    // ============================================
+    const UpcomingEvents = {
+        section: document.getElementById('upcoming'),
+        timer: null,
+
+        init() {
+            if (!this.section) return;
+
+            this.section.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-ics]');
+                if (!button) return;
+
+                const id = button.dataset.ics;
+                const events = id === 'all' ? Schedule.upcoming() : [Schedule.event(id)];
+                CalendarExport.download(`${id === 'all' ? 'calendar' : id}.ics`, CalendarExport.ics(events));
+            });
+
+            this.tick();
+            this.timer = setInterval(() => this.tick(), 1000);
+        },
+
+        /**
+         * Update the countdown to the next event, or show that it is under way
+         */
+        tick() {
+            const countdown = document.getElementById('upcomingCountdown');
+            if (!countdown) {
+                // The last event is over: nothing is left to count down to
+                clearInterval(this.timer);
+                this.timer = null;
+                return;
+            }
+
+            const now = Date.now();
+            const start = Number(countdown.dataset.start);
+            if (now >= Number(countdown.dataset.end)) {
+                this.refresh();
+                return;
+            }
+
+            const live = now >= start;
+            countdown.hidden = live;
+            document.getElementById('upcomingLive').hidden = !live;
+            if (live) return;
+
+            const seconds = Math.floor((start - now) / 1000);
+            const values = {
+                days: Math.floor(seconds / 86400),
+                hours: Math.floor(seconds % 86400 / 3600),
+                minutes: Math.floor(seconds % 3600 / 60),
+                seconds: seconds % 60
+            };
+            countdown.querySelectorAll('[data-unit]').forEach(el => {
+                el.textContent = String(values[el.dataset.unit]).padStart(2, '0');
+            });
+        },
+
+        /**
+         * Re-render once the next event is over, which moves it into the
+         * achievements history
+         */
+        refresh() {
+            ContentRenderer.renderUpcoming();
+            ContentRenderer.renderEventHistory();
+            LanguageSwitcher.applyTranslations(this.section);
+            LanguageSwitcher.applyTranslations(document.getElementById('eventHistory'));
+            this.tick();
+        }
+    };
+
+    // ============================================
+    // Fight Record Table Module
+    // ============================================
+    const FightRecordTable = {
+        table: null,
+        filters: null,
+        empty: null,
+        sort: { column: 'date', direction: 'descending' },
+
+        init() {
+            this.table = document.getElementById('fightRecordTable');
+            this.filters = document.getElementById('fightRecordFilters');
+            this.empty = document.getElementById('fightRecordEmpty');
+            if (!this.table || !this.filters) return;
+
+            this.table.querySelector('thead').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-sort]');
+                if (button) this.sortBy(button.dataset.sort);
+            });
+            this.filters.addEventListener('change', () => this.filter());
+
+            this.applySort();
+        },
+
+        /**
+         * Sort by a column, or reverse the order when it is already sorted by it
+         * @param {string} column - Column name from data-sort
+         */
+        sortBy(column) {
+            const reverse = { ascending: 'descending', descending: 'ascending' };
+            this.sort = this.sort.column === column
+                ? { column, direction: reverse[this.sort.direction] }
+                : { column, direction: column === 'date' ? 'descending' : 'ascending' };
+            this.applySort();
+        },
+
+        applySort() {
+            const headers = [...this.table.querySelectorAll('thead th')];
+            const index = headers.findIndex(th => th.querySelector(`[data-sort="${this.sort.column}"]`));
+            const sign = this.sort.direction === 'ascending' ? 1 : -1;
+            const value = row => {
+                const cell = row.cells[index];
+                return cell.dataset.value !== undefined ? Number(cell.dataset.value) : cell.textContent.trim();
+            };
+
+            const body = this.table.tBodies[0];
+            [...body.rows]
+                .sort((a, b) => {
+                    const [x, y] = [value(a), value(b)];
+                    return sign * (typeof x === 'number' ? x - y : x.localeCompare(y, I18n.locale, { numeric: true }));
+                })
+                .forEach(row => body.appendChild(row));
+
+            headers.forEach((th, i) => th.setAttribute('aria-sort', i === index ? this.sort.direction : 'none'));
+        },
+
+        filter() {
+            const selected = {};
+            this.filters.querySelectorAll('[data-filter]').forEach(select => {
+                selected[select.dataset.filter] = select.value;
+            });
+
+            let visible = 0;
+            [...this.table.tBodies[0].rows].forEach(row => {
+                row.hidden = Object.entries(selected).some(([name, value]) => value !== 'all' && row.dataset[name] !== value);
+                if (!row.hidden) visible++;
+            });
+            if (this.empty) this.empty.hidden = visible > 0;
+        }
+    };
+
+    // ============================================
+    // Achievement Modal Module
+    // ============================================
+    const AchievementModal = {
+        modal: document.getElementById('achievementModal'),
+
+        getTranslatedContent(achievement) {
+            const fields = ['category', 'title', 'location', 'result', 'description', 'quote'];
+            const content = {};
+
+            fields.forEach(field => {
+                const key = `achievements.${achievement.id}.${field}`;
+                content[field] = I18n.has(key) ? I18n.t(key) : '';
+            });
+
+            return content;
+        },
+
+        init() {
+            const closeBtn = document.getElementById('modalClose');
+            const carousel = document.querySelector('.achievements-carousel');
+
+            Modal.setup(this.modal, {
+                closeButton: closeBtn,
+                onClose: () => Router.dismiss('achievements'),
+                labelledBy: 'modalTitle'
+            });
+
+            Router.register('achievements', {
+                open: (achievementId) => this.openAchievement(achievementId),
+                close: () => Modal.close(this.modal)
+            });
+
+            // Event delegation for card clicks
+            if (carousel) {
+                carousel.addEventListener('click', (e) => {
+                    const card = e.target.closest('.achievement-card');
+                    if (!card) return;
+                    Router.navigate('achievements', card.dataset.achievement);
+                });
+            }
+        },
+
+        /**
+         * Open the modal for an achievement from the content file
+         * @param {string} achievementId - Achievement id, e.g. "euro"
+         * @returns {boolean} False if no achievement has this id
+         */
+        openAchievement(achievementId) {
+            const achievement = Content.achievement(achievementId);
+            if (!achievement) return false;
+
+            const content = this.getTranslatedContent(achievement);
+
+            document.getElementById('modalCategory').textContent = content.category;
+            document.getElementById('modalTitle').textContent = content.title;
+            document.getElementById('modalLocation').textContent = content.location;
+            document.getElementById('modalResult').textContent = content.result;
+            document.getElementById('modalDescription').textContent = content.description;
+
+            const quoteEl = document.getElementById('modalQuote');
+            if (content.quote) {
+                quoteEl.textContent = '"' + content.quote + '"';
+                quoteEl.style.display = 'block';
+            } else {
+                quoteEl.style.display = 'none';
+            }
+
+            Modal.open(this.modal);
+            return true;
+        }
+    };
+
+    // ============================================
+    // Partner Modal Module
+    // ============================================
+    const PartnerModal = {
+        modal: document.getElementById('partnerModal'),
+        content: document.getElementById('partnerModalContent'),
+
+        init() {
+            const closeBtn = document.querySelector('.partner-modal-close');
+            const grid = document.querySelector('.partners-grid');
+
+            Modal.setup(this.modal, {
+                closeButton: closeBtn,
+                contentElement: this.content,
+                onClose: () => Router.dismiss('partners'),
+                labelledBy: 'partnerModalTitle'
+            });
+
+            Router.register('partners', {
+                open: (partnerId) => this.openPartner(partnerId),
+                close: () => Modal.close(this.modal)
+            });
+
+            // Event delegation for card clicks
+            if (grid) {
+                grid.addEventListener('click', (e) => {
+                    const card = e.target.closest('.partner-card');
+                    if (!card) return;
+                    Router.navigate('partners', card.dataset.partner);
+                });
+            }
+        },
+
+        /**
+         * Open the modal with a copy of a partner's card
+         * @param {string} partnerId - Partner id, e.g. "edubily"
+         * @returns {boolean} False if no partner card has this id
+         */
+        openPartner(partnerId) {
+            const card = Array.from(document.querySelectorAll('.partner-card'))
+                .find(item => item.dataset.partner === partnerId);
+            if (!card) return false;
+
+            // The copy is plain content, not another button
+            const cardClone = card.cloneNode(true);
+            ['role', 'tabindex', 'aria-haspopup', 'aria-labelledby'].forEach(name => cardClone.removeAttribute(name));
+            cardClone.querySelector('h3').id = 'partnerModalTitle';
+            this.content.innerHTML = '';
+            this.content.appendChild(cardClone);
+            Modal.open(this.modal);
+            return true;
+        }
+    };
+
+    // ============================================
+    // Carousel Module
+    // ============================================
+    const Carousel = {
+        // Set-up carousels by track element
+        instances: new Map(),
+        // Beyond this many pages the position is shown as "3 / 18" instead of dots
+        maxDots: 12,
+
+        /**
+         * Set up every [data-carousel] region. Its [data-carousel-track] scrolls
+         * through the items matching data-carousel-items; prev/next buttons point
+         * at the track with aria-controls, and a data-autoplay value in
+         * milliseconds on the region advances it on its own.
+         */
+        init() {
+            document.querySelectorAll('[data-carousel]').forEach(region => this.setup(region));
+
+            window.addEventListener('resize', () => {
+                this.instances.forEach(carousel => this.refresh(carousel.track));
+            });
+        },
+
+        /**
+         * Stop or restart autoplay after the motion setting changed (see Theme)
+         */
+        updateMotion() {
+            this.instances.forEach(carousel => this.start(carousel));
+        },
+
+        /**
+         * Wire up one carousel region
+         * @param {HTMLElement} region - Element with data-carousel
+         */
+        setup(region) {
+            const track = region.querySelector('[data-carousel-track]');
+            if (!track) return;
+
+            const control = name => document.querySelector(`[data-carousel-${name}][aria-controls="${track.id}"]`);
+            const carousel = {
+                region,
+                track,
+                itemSelector: track.dataset.carouselItems,
+                prev: control('prev'),
+                next: control('next'),
+                dots: region.querySelector('[data-carousel-dots]'),
+                autoplay: Number(region.dataset.autoplay) || 0,
+                toggle: null,
+                timer: null,
+                paused: false,
+                starts: [0],
+                frame: null
+            };
+            this.instances.set(track, carousel);
+
+            region.setAttribute('role', 'region');
+            region.dataset.i18nAttrs = JSON.stringify({ 'aria-roledescription': 'carousel.label' });
+            track.tabIndex = 0;
+            track.setAttribute('aria-live', carousel.autoplay ? 'off' : 'polite');
+
+            if (carousel.prev) carousel.prev.addEventListener('click', () => this.step(carousel, -1));
+            if (carousel.next) carousel.next.addEventListener('click', () => this.step(carousel, 1));
+
+            if (carousel.dots) {
+                carousel.dots.addEventListener('click', (e) => {
+                    const dot = e.target.closest('[data-page]');
+                    if (dot) this.goTo(carousel, Number(dot.dataset.page));
+                });
+            }
+
+            track.addEventListener('keydown', (e) => {
+                if (e.target !== track) return;
+                const keys = {
+                    ArrowLeft: () => this.step(carousel, -1),
+                    ArrowRight: () => this.step(carousel, 1),
+                    Home: () => this.scrollTo(carousel, 0),
+                    End: () => this.scrollTo(carousel, this.maxScroll(carousel))
+                };
+                if (!keys[e.key]) return;
+                e.preventDefault();
+                keys[e.key]();
+            });
+
+            // Touch swipes scroll the track natively; keep the controls in step
+            track.addEventListener('scroll', () => {
+                if (carousel.frame) return;
+                carousel.frame = requestAnimationFrame(() => {
+                    carousel.frame = null;
+                    this.update(carousel);
+                });
+            }, { passive: true });
+
+            if (carousel.autoplay) this.setupAutoplay(carousel);
+            this.refresh(track);
+        },
+
+        /**
+         * Items the carousel steps through, leaving out filtered ones
+         * @param {Object} carousel
+         * @returns {HTMLElement[]}
+         */
+        items(carousel) {
+            return Array.from(carousel.track.querySelectorAll(carousel.itemSelector)).filter(item => !item.hidden);
+        },
+
+        maxScroll(carousel) {
+            return Math.max(0, carousel.track.scrollWidth - carousel.track.clientWidth);
+        },
+
+        /**
+         * Scroll position that brings an item to the start of the track
+         * @param {Object} carousel
+         * @param {HTMLElement} item
+         * @returns {number} scrollLeft value
+         */
+        position(carousel, item) {
+            const { track } = carousel;
+            const padding = parseFloat(getComputedStyle(track).paddingLeft) || 0;
+            return item.getBoundingClientRect().left - track.getBoundingClientRect().left + track.scrollLeft - padding;
+        },
+
+        /**
+         * Where each page starts: every page begins with the first item the
+         * previous one cut off, so a step moves by what is in view
+         * @param {Object} carousel
+         * @returns {number[]} scrollLeft values, the first 0 and the last the end
+         */
+        pageStarts(carousel) {
+            const view = carousel.track.clientWidth;
+            const max = this.maxScroll(carousel);
+            const items = this.items(carousel).map(item => ({ left: this.position(carousel, item), width: item.offsetWidth }));
+            const starts = [0];
+
+            while (starts[starts.length - 1] < max - 1) {
+                const start = starts[starts.length - 1];
+                const cut = items.find(item => item.left > start + 1 && item.left + item.width > start + view + 1);
+                starts.push(cut ? Math.min(cut.left, max) : max);
+            }
+            return starts;
+        },
+
+        /**
+         * Index of the page in view
+         * @param {Object} carousel
+         * @returns {number}
+         */
+        currentPage(carousel) {
+            const left = carousel.track.scrollLeft;
+            const page = carousel.starts.findIndex(start => start > left + 1);
+            return page === -1 ? carousel.starts.length - 1 : Math.max(0, page - 1);
+        },
+
+        /**
+         * Move one page forwards or backwards
+         * @param {Object} carousel
+         * @param {number} direction - 1 for next, -1 for previous
+         */
+        step(carousel, direction) {
+            const left = carousel.track.scrollLeft;
+            const starts = direction > 0
+                ? carousel.starts.filter(start => start > left + 1)
+                : carousel.starts.filter(start => start < left - 1).reverse();
+
+            this.scrollTo(carousel, starts.length ? starts[0] : left);
+        },
+
+        goTo(carousel, page) {
+            this.scrollTo(carousel, carousel.starts[page] || 0);
+        },
+
+        scrollTo(carousel, left) {
+            carousel.track.scrollTo({ left: Math.min(Math.max(0, left), this.maxScroll(carousel)), behavior: Theme.scrollBehavior() });
+        },
+
+        /**
+         * Scroll back to the first item, e.g. after filtering
+         * @param {HTMLElement} track - The carousel's track
+         */
+        reset(track) {
+            const carousel = this.instances.get(track);
+            if (!carousel) return;
+
+            track.scrollTo({ left: 0, behavior: 'auto' });
+            this.refresh(track);
+        },
+
+        /**
+         * Label the items and work out the pages again after the items or the
+         * track size changed
+         * @param {HTMLElement} track - The carousel's track
+         */
+        refresh(track) {
+            const carousel = this.instances.get(track);
+            if (!carousel) return;
+
+            const items = this.items(carousel);
+            items.forEach((item, index) => {
+                item.setAttribute('role', 'group');
+                item.dataset.i18nAttrs = JSON.stringify({ 'aria-roledescription': 'carousel.slide', 'aria-label': 'carousel.position' });
+                item.dataset.i18nParams = JSON.stringify({ index: index + 1, count: items.length });
+            });
+
+            carousel.starts = this.pageStarts(carousel);
+            if (carousel.dots) this.renderDots(carousel);
+            this.update(carousel);
+            // From the parent, so the region's own roledescription is included
+            LanguageSwitcher.applyTranslations(carousel.region.parentElement);
+        },
+
+        /**
+         * Disable the controls at either end and mark the current page
+         * @param {Object} carousel
+         */
+        update(carousel) {
+            const { track } = carousel;
+            const max = this.maxScroll(carousel);
+            const page = this.currentPage(carousel);
+
+            carousel.region.dataset.scrollable = String(max > 1);
+            if (carousel.prev) carousel.prev.disabled = track.scrollLeft <= 1;
+            if (carousel.next) carousel.next.disabled = track.scrollLeft >= max - 1;
+            if (!carousel.dots) return;
+
+            carousel.dots.querySelectorAll('[data-page]').forEach(dot => {
+                if (Number(dot.dataset.page) === page) {
+                    dot.setAttribute('aria-current', 'true');
+                } else {
+                    dot.removeAttribute('aria-current');
+                }
+            });
+
+            const count = carousel.dots.querySelector('.carousel-count');
+            if (count) count.textContent = `${page + 1} / ${carousel.starts.length}`;
+        },
+
+        renderDots(carousel) {
+            const { dots } = carousel;
+            const pages = carousel.starts.length;
+            dots.hidden = pages < 2;
+
+            if (pages > this.maxDots) {
+                dots.innerHTML = '<span class="carousel-count"></span>';
+                return;
+            }
+
+            dots.innerHTML = Array.from({ length: pages }, (_, page) => `
+                <button type="button" class="carousel-dot" data-page="${page}" data-i18n-attrs='{"aria-label":"carousel.page"}' data-i18n-params='{"page":${page + 1},"count":${pages}}'></button>`).join('');
+            LanguageSwitcher.applyTranslations(dots);
+        },
+
+        /**
+         * Advance on a timer, unless the visitor prefers reduced motion. Hovering
+         * or focusing the carousel holds it, and a button stops it for good.
+         * @param {Object} carousel
+         */
+        setupAutoplay(carousel) {
+            const { region } = carousel;
+
+            carousel.toggle = document.createElement('button');
+            carousel.toggle.type = 'button';
+            carousel.toggle.className = 'carousel-autoplay';
+            region.append(carousel.toggle);
+            carousel.toggle.addEventListener('click', () => {
+                carousel.paused = !carousel.paused;
+                if (carousel.paused) {
+                    this.stop(carousel);
+                } else {
+                    this.start(carousel);
+                }
+            });
+
+            region.addEventListener('mouseenter', () => this.stop(carousel));
+            region.addEventListener('mouseleave', () => this.start(carousel));
+            region.addEventListener('focusin', (e) => {
+                if (e.target !== carousel.toggle) this.stop(carousel);
+            });
+            region.addEventListener('focusout', (e) => {
+                if (!region.contains(e.relatedTarget)) this.start(carousel);
+            });
+
+            this.start(carousel);
+        },
+
+        start(carousel) {
+            if (!carousel.autoplay || carousel.paused || Theme.reduceMotion()) {
+                this.stop(carousel);
+                return;
+            }
+
+            clearInterval(carousel.timer);
+            carousel.timer = setInterval(() => {
+                if (carousel.track.scrollLeft >= this.maxScroll(carousel) - 1) {
+                    this.scrollTo(carousel, 0);
+                } else {
+                    this.step(carousel, 1);
+                }
+            }, carousel.autoplay);
+            this.label(carousel);
+        },
+
+        stop(carousel) {
+            clearInterval(carousel.timer);
+            carousel.timer = null;
+            this.label(carousel);
+        },
+
+        /**
+         * Name the autoplay button after what it does next, and let screen
+         * readers follow the items only while nothing moves on its own
+         * @param {Object} carousel
+         */
+        label(carousel) {
+            if (!carousel.toggle) return;
+
+            const key = carousel.paused ? 'carousel.play' : 'carousel.pause';
+            carousel.toggle.hidden = Theme.reduceMotion();
+            carousel.toggle.dataset.i18nAttrs = JSON.stringify({ 'aria-label': key });
+            carousel.toggle.setAttribute('aria-label', I18n.t(key));
+            carousel.toggle.setAttribute('aria-pressed', String(!carousel.paused));
+            carousel.track.setAttribute('aria-live', carousel.timer ? 'off' : 'polite');
+        }
+    };
+
+    // ============================================
+    // Gallery Filter Module
+    // ============================================
+    const GalleryFilter = {
+        container: null,
+        track: null,
+        current: 'all',
+
+        init() {
+            this.container = document.getElementById('galleryFilters');
+            this.track = document.getElementById('galleryTrack');
+            if (!this.container || !this.track) return;
+
+            this.container.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-album]');
+                if (!chip) return;
+                this.select(chip.dataset.album);
+
+                // Album views are linkable without piling up history entries
+                history.replaceState(history.state, '', this.anchor());
+            });
+        },
+
+        /**
+         * Show one album's photos, or every photo for 'all'. The carousel and
+         * lightbox only move through the photos left visible.
+         * @param {string} albumId - Album id from the content file, or 'all'
+         * @returns {boolean} False if there is no such album
+         */
+        select(albumId) {
+            if (albumId !== 'all' && !Content.album(albumId)) return false;
+            if (albumId === this.current) return true;
+
+            this.current = albumId;
+            this.track.querySelectorAll('[data-album]').forEach(el => {
+                el.hidden = albumId !== 'all' && el.dataset.album !== albumId;
+            });
+            this.container.querySelectorAll('[data-album]').forEach(chip => {
+                const active = chip.dataset.album === albumId;
+                chip.classList.toggle('active', active);
+                chip.setAttribute('aria-pressed', String(active));
+            });
+
+            Carousel.reset(this.track);
+            GalleryLightbox.refresh();
+            return true;
+        },
+
+        /**
+         * Hash linking to the selected album
+         * @returns {string} e.g. "#gallery/spud-lake"
+         */
+        anchor() {
+            return this.current === 'all' ? '#gallery' : `#gallery/${this.current}`;
+        }
+    };
+
+    // ============================================
+    // Video Player Module
+    // ============================================
+    const VideoPlayer = {
+        track: null,
+        consentKey: 'videoConsent',
+        // Providers allowed for this visit only, without remembering the choice
+        sessionConsent: new Set(),
+        // Share of the item that must stay visible for playback to continue
+        visibleRatio: 0.5,
+
+        /**
+         * Players by the data-provider value of a .video-item. Third-party
+         * providers are only loaded after the visitor agrees to it; they report
+         * their state by postMessage from their origin, which started() reads.
+         */
+        providers: {
+            youtube: {
+                name: 'YouTube',
+                thirdParty: true,
+                origin: 'https://www.youtube-nocookie.com',
+                create(source, title) {
+                    const player = VideoPlayer.iframe(`https://www.youtube-nocookie.com/embed/${encodeURIComponent(source)}?autoplay=1&enablejsapi=1&modestbranding=1&rel=0&iv_load_policy=3`, title);
+                    // The player only reports its state once asked to
+                    player.addEventListener('load', () => {
+                        player.contentWindow.postMessage(JSON.stringify({ event: 'listening', id: source, channel: 'widget' }), '*');
+                    });
+                    return player;
+                },
+                pause(player) {
+                    player.contentWindow.postMessage(JSON.stringify({ event: 'command', func: 'pauseVideo', args: [] }), '*');
+                },
+                // State 1 is "playing"
+                started(player, message) {
+                    if (message.event === 'onStateChange') return message.info === 1;
+                    return message.event === 'infoDelivery' && Boolean(message.info) && message.info.playerState === 1;
+                }
+            },
+            vimeo: {
+                name: 'Vimeo',
+                thirdParty: true,
+                origin: 'https://player.vimeo.com',
+                create(source, title) {
+                    return VideoPlayer.iframe(`https://player.vimeo.com/video/${encodeURIComponent(source)}?autoplay=1&dnt=1`, title);
+                },
+                pause(player) {
+                    player.contentWindow.postMessage(JSON.stringify({ method: 'pause' }), '*');
+                },
+                started(player, message) {
+                    // Play events are only sent once asked for, after the player is ready
+                    if (message.event === 'ready') {
+                        player.contentWindow.postMessage(JSON.stringify({ method: 'addEventListener', value: 'play' }), '*');
+                    }
+                    return message.event === 'play';
+                }
+            },
+            file: {
+                name: null,
+                thirdParty: false,
+                create(source, title) {
+                    const video = document.createElement('video');
+                    video.src = source;
+                    video.title = title;
+                    video.controls = true;
+                    video.autoplay = true;
+                    video.playsInline = true;
+                    return video;
+                },
+                pause(player) {
+                    player.pause();
+                }
+            }
+        },
+
+        init() {
+            this.track = document.getElementById('videoTrack');
+            if (!this.track) return;
+
+            this.track.addEventListener('click', (e) => {
+                const item = e.target.closest('.video-item[data-provider]');
+                if (!item || item.classList.contains('playing') || item.classList.contains('offline')) return;
+
+                const consent = e.target.closest('.video-consent');
+                if (!consent) {
+                    this.request(item);
+                } else if (e.target.closest('.video-consent-accept')) {
+                    const remember = consent.querySelector('.video-consent-remember').checked;
+                    this.grant(item.dataset.provider, remember);
+                    consent.remove();
+                    this.play(item);
+                }
+            });
+
+            // Third-party players cannot load without a connection
+            this.markOffline();
+            window.addEventListener('online', () => this.markOffline());
+            window.addEventListener('offline', () => this.markOffline());
+
+            // Videos can also be restarted from their own controls: clips fire
+            // play, third-party players post their state (see receive)
+            this.track.addEventListener('play', (e) => {
+                const item = e.target.closest('.video-item');
+                if (item) this.pauseOthers(item);
+            }, true);
+            window.addEventListener('message', (e) => this.receive(e));
+
+            if ('IntersectionObserver' in window) {
+                const observer = new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        if (entry.target.classList.contains('playing') && entry.intersectionRatio < this.visibleRatio) {
+                            this.pause(entry.target);
+                        }
+                    });
+                }, { threshold: [0, this.visibleRatio] });
+
+                this.track.querySelectorAll('.video-item').forEach(item => observer.observe(item));
+            }
+        },
+
+        /**
+         * Play a video, asking for consent first if its provider is a third party
+         * @param {HTMLElement} item - The .video-item
+         */
+        request(item) {
+            const provider = this.providers[item.dataset.provider];
+            if (!provider) return;
+
+            if (provider.thirdParty && !this.hasConsent(item.dataset.provider)) {
+                this.showConsent(item, provider);
+            } else {
+                this.play(item);
+            }
+        },
+
+        /**
+         * Load the provider's player into the item, stopping whatever else is playing
+         * @param {HTMLElement} item - The .video-item
+         */
+        play(item) {
+            const provider = this.providers[item.dataset.provider];
+            const player = provider.create(item.dataset.source, item.dataset.title || 'Video');
+            player.classList.add('video-player');
+
+            this.pauseOthers(item);
+            item.appendChild(player);
+            item.classList.add('playing');
+            Analytics.track('video_play', { video: item.dataset.source, provider: item.dataset.provider });
+        },
+
+        /**
+         * Keep a single video playing by pausing every other loaded player
+         * @param {HTMLElement} item - The .video-item now playing
+         */
+        pauseOthers(item) {
+            this.track.querySelectorAll('.video-item.playing').forEach(other => {
+                if (other !== item) this.pause(other);
+            });
+        },
+
+        /**
+         * Read a message from a third-party player, pausing the other videos
+         * when it started playing
+         * @param {MessageEvent} e
+         */
+        receive(e) {
+            const player = Array.from(this.track.querySelectorAll('iframe.video-player'))
+                .find(frame => frame.contentWindow === e.source);
+            if (!player) return;
+
+            const item = player.closest('.video-item');
+            const provider = this.providers[item.dataset.provider];
+            if (e.origin !== provider.origin) return;
+
+            let message = e.data;
+            if (typeof message === 'string') {
+                try {
+                    message = JSON.parse(message);
+                } catch (error) {
+                    return;
+                }
+            }
+            if (message && provider.started(player, message)) this.pauseOthers(item);
+        },
+
+        /**
+         * Pause an item's player. Its position is kept so it can be resumed.
+         * @param {HTMLElement} item - The .video-item
+         */
+        pause(item) {
+            const player = item.querySelector('.video-player');
+            if (player) {
+                this.providers[item.dataset.provider].pause(player);
+            }
+        },
+
+        /**
+         * Cover third-party videos with a notice while the browser is offline,
+         * instead of a player that cannot load
+         */
+        markOffline() {
+            const offline = navigator.onLine === false;
+
+            this.track.querySelectorAll('.video-item[data-provider]').forEach(item => {
+                const provider = this.providers[item.dataset.provider];
+                if (!provider || !provider.thirdParty || item.classList.contains('playing')) return;
+
+                item.classList.toggle('offline', offline);
+                const notice = item.querySelector('.video-offline');
+                if (offline && !notice) {
+                    item.insertAdjacentHTML('beforeend', `
+                    <p class="video-offline" data-i18n="videos.offline">${escapeHtml(I18n.t('videos.offline'))}</p>`);
+                } else if (!offline && notice) {
+                    notice.remove();
+                }
+            });
+        },
+
+        /**
+         * Overlay explaining which provider the video is loaded from
+         * @param {HTMLElement} item - The .video-item
+         * @param {Object} provider - Entry from providers
+         */
+        showConsent(item, provider) {
+            if (item.querySelector('.video-consent')) return;
+
+            const params = escapeHtml(JSON.stringify({ provider: provider.name }));
+            const t = key => escapeHtml(I18n.t(key, { provider: provider.name }));
+
+            item.insertAdjacentHTML('beforeend', `
+                <div class="video-consent" role="group" aria-label="${t('videos.consent.label')}">
+                    <p data-i18n="videos.consent.text" data-i18n-params="${params}">${t('videos.consent.text')}</p>
+                    <label class="video-consent-option">
+                        <input type="checkbox" class="video-consent-remember">
+                        <span data-i18n="videos.consent.remember" data-i18n-params="${params}">${t('videos.consent.remember')}</span>
+                    </label>
+                    <button type="button" class="video-consent-accept" data-i18n="videos.consent.play">${t('videos.consent.play')}</button>
+                </div>`);
+            item.querySelector('.video-consent-accept').focus();
+        },
+
+        /**
+         * Providers the visitor has agreed to load on every visit
+         * @returns {string[]} Provider keys
+         */
+        savedConsent() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.consentKey));
+                return Array.isArray(saved) ? saved : [];
+            } catch (e) {
+                return [];
+            }
+        },
+
+        hasConsent(provider) {
+            return this.sessionConsent.has(provider) || this.savedConsent().includes(provider);
+        },
+
+        /**
+         * Record consent for a provider, for this visit or for good
+         * @param {string} provider - Provider key
+         * @param {boolean} remember - Keep the choice in localStorage
+         */
+        grant(provider, remember) {
+            this.sessionConsent.add(provider);
+            if (remember && !this.savedConsent().includes(provider)) {
+                try {
+                    localStorage.setItem(this.consentKey, JSON.stringify([...this.savedConsent(), provider]));
+                } catch (error) {
+                    // The choice then only lasts for this visit
+                }
+            }
+        },
+
+        /**
+         * Embedded player frame for a third-party provider
+         * @param {string} src - Embed URL
+         * @param {string} title - Accessible title
+         * @returns {HTMLIFrameElement}
+         */
+        iframe(src, title) {
+            const iframe = document.createElement('iframe');
+            iframe.src = src;
+            iframe.title = title;
+            iframe.frameBorder = '0';
+            iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+            iframe.allowFullscreen = true;
+            return iframe;
+        }
+    };
+
+    // ============================================
+    // Gallery Lightbox Module
+    // ============================================
+    const GalleryLightbox = {
+        lightbox: null,
+        lightboxImage: null,
+        stage: null,
+        counter: null,
+        caption: null,
+        thumbnails: null,
+        fullscreenBtn: null,
+        images: [],
+        currentIndex: 0,
+        // Full-size image loads by photo path, so each photo is fetched once
+        preloaded: new Map(),
+        // Rendered width of the full-size photo, for picking a variant
+        sizes: '90vw',
+        maxScale: 4,
+        doubleTapScale: 2.5,
+        swipeThreshold: 50,
+        zoom: { scale: 1, x: 0, y: 0 },
+        // Active pointers on the stage by pointerId, plus the gesture they started
+        pointers: new Map(),
+        gesture: null,
+        lastTap: null,
+
+        init() {
+            this.lightbox = document.getElementById('galleryLightbox');
+            this.lightboxImage = document.getElementById('lightboxImage');
+            if (!this.lightbox) return;
+
+            this.stage = document.getElementById('lightboxStage');
+            this.counter = document.getElementById('lightboxCounter');
+            this.caption = document.getElementById('lightboxCaption');
+            this.thumbnails = document.getElementById('lightboxThumbnails');
+            this.fullscreenBtn = document.getElementById('lightboxFullscreen');
+
+            this.refresh();
+
+            // Event delegation for gallery image clicks
+            const track = document.getElementById('galleryTrack');
+            if (track) {
+                track.addEventListener('click', (e) => {
+                    const button = e.target.closest('.gallery-open');
+                    if (!button) return;
+                    this.navigate(this.images.indexOf(button.querySelector('img')));
+                });
+            }
+
+            // Photos are linked by their 1-based position: "#gallery/7" across every album,
+            // "#gallery/spud-lake/3" within one. "#gallery/spud-lake" only selects the album.
+            Router.register('gallery', {
+                open: (param) => {
+                    const [album, number] = /^\d+$/.test(param) ? ['all', param] : param.split('/');
+                    if (!GalleryFilter.select(album) || number === undefined) return false;
+
+                    const index = Number(number) - 1;
+                    if (!Number.isInteger(index) || !this.images[index]) return false;
+                    this.open(index);
+                    return true;
+                },
+                close: () => this.close(),
+                anchor: () => GalleryFilter.anchor()
+            });
+
+            // Named by the current photo's alt text
+            Modal.setup(this.lightbox, {
+                closeButton: document.getElementById('lightboxClose'),
+                onClose: () => Router.dismiss('gallery'),
+                labelledBy: 'lightboxImage'
+            });
+
+            // Navigation buttons
+            const prevBtn = document.getElementById('lightboxPrev');
+            const nextBtn = document.getElementById('lightboxNext');
+            if (prevBtn) {
+                prevBtn.addEventListener('click', () => this.prev());
+            }
+            if (nextBtn) {
+                nextBtn.addEventListener('click', () => this.next());
+            }
+
+            // Keyboard navigation (Escape is handled by the modal stack)
+            document.addEventListener('keydown', (e) => {
+                if (!this.isActive()) return;
+                if (e.key === 'ArrowLeft') this.prev();
+                if (e.key === 'ArrowRight') this.next();
+            });
+
+            if (this.thumbnails) {
+                this.thumbnails.addEventListener('click', (e) => {
+                    const thumb = e.target.closest('.lightbox-thumb');
+                    if (!thumb) return;
+                    this.navigate(Array.from(this.thumbnails.children).indexOf(thumb));
+                });
+            }
+
+            this.initFullscreen();
+            this.initGestures();
+        },
+
+        open(index) {
+            this.currentIndex = index;
+            this.updateImage();
+            Modal.open(this.lightbox);
+        },
+
+        close() {
+            if (document.fullscreenElement === this.lightbox) {
+                document.exitFullscreen().catch(() => {});
+            }
+            Modal.close(this.lightbox);
+        },
+
+        /**
+         * Pick up the photos the album filter leaves visible
+         */
+        refresh() {
+            this.images = Array.from(document.querySelectorAll('.gallery-item:not([hidden]) img'));
+            this.renderThumbnails();
+        },
+
+        /**
+         * Show a photo of the current album through the router
+         * @param {number} index - Index into the visible photos
+         */
+        navigate(index) {
+            const number = index + 1;
+            const album = GalleryFilter.current;
+            Router.navigate('gallery', album === 'all' ? number : `${album}/${number}`);
+        },
+
+        prev() {
+            if (this.images.length === 0) return;
+            this.navigate((this.currentIndex - 1 + this.images.length) % this.images.length);
+        },
+
+        next() {
+            if (this.images.length === 0) return;
+            this.navigate((this.currentIndex + 1) % this.images.length);
+        },
+
+        /**
+         * Show the current photo: its thumbnail straight away, the full-size
+         * image once loaded, then warm up the neighbours
+         */
+        updateImage() {
+            const index = this.currentIndex;
+            const img = this.images[index];
+            // The album filter may leave no photos
+            if (!img) return;
+            const photo = img.dataset.image;
+
+            this.resetZoom();
+            this.lightboxImage.alt = img.alt;
+            this.counter.textContent = `${index + 1} / ${this.images.length}`;
+            this.caption.textContent = this.captionFor(img);
+
+            if (this.lightboxImage.dataset.image !== photo) {
+                this.lightboxImage.dataset.image = photo;
+                setPicture(this.lightboxImage, img.currentSrc || img.src, this.sizes);
+                this.stage.classList.add('loading');
+                this.preload(photo).then(loaded => {
+                    if (this.currentIndex !== index) return;
+                    if (loaded) setPicture(this.lightboxImage, photo, this.sizes);
+                    this.stage.classList.remove('loading');
+                });
+            }
+
+            this.thumbnails.querySelectorAll('.lightbox-thumb').forEach((thumb, i) => {
+                const active = i === index;
+                thumb.classList.toggle('active', active);
+                if (active) {
+                    thumb.setAttribute('aria-current', 'true');
+                    thumb.scrollIntoView({ block: 'nearest', inline: 'center' });
+                } else {
+                    thumb.removeAttribute('aria-current');
+                }
+            });
+
+            const count = this.images.length;
+            [index - 1, index + 1].forEach(neighbour => {
+                const neighbourImg = this.images[(neighbour + count) % count];
+                this.preload(neighbourImg.dataset.image);
+            });
+        },
+
+        /**
+         * Caption from the photo's data-caption, falling back to its alt text,
+         * followed by the album's event and year when known
+         * @param {HTMLImageElement} img - Gallery image
+         * @returns {string} Caption text, e.g. "Eva Tschanz training at Spud Lake · Spud Lake training camp, 2025"
+         */
+        captionFor(img) {
+            const item = img.closest('.gallery-item');
+            const text = img.dataset.caption || img.alt || '';
+            const event = item && item.dataset.event ? I18n.t(`gallery.album.${item.dataset.album}.event`) : '';
+            const details = item ? [event, item.dataset.year].filter(Boolean).join(', ') : '';
+            return details ? `${text} · ${details}` : text;
+        },
 
-            document.getElementById('timelinePointModalTitle').textContent = content.title;
-            document.getElementById('timelinePointModalDescription').textContent = content.description;
-            document.getElementById('timelinePointModalYear').textContent = year || '';
+        /**
+         * Load the variant of a photo the lightbox would pick, once, and remember the result
+         * @param {string} photo - Photo path relative to the site root
+         * @returns {Promise<boolean>} Resolves true once loaded, false if it failed
+         */
+        preload(photo) {
+            if (!this.preloaded.has(photo)) {
+                this.preloaded.set(photo, new Promise(resolve => {
+                    const image = new Image();
+                    image.onload = () => resolve(true);
+                    image.onerror = () => resolve(false);
+                    document.createElement('picture').append(image);
+                    setPicture(image, photo, this.sizes);
+                }));
+            }
+            return this.preloaded.get(photo);
+        },
+
+        renderThumbnails() {
+            if (!this.thumbnails) return;
+
+            this.thumbnails.innerHTML = this.images.map((img, index) => `
+                <button type="button" class="lightbox-thumb" aria-label="${index + 1} / ${this.images.length}">
+                    <img src="${escapeHtml(img.getAttribute('src'))}" alt="" loading="lazy">
+                </button>`).join('');
+        },
+
+        initFullscreen() {
+            if (!this.fullscreenBtn) return;
+
+            if (!document.fullscreenEnabled) {
+                this.fullscreenBtn.hidden = true;
+                return;
+            }
+
+            // The browser may refuse (e.g. inside a frame without allowfullscreen);
+            // the button then stays unpressed, as only fullscreenchange sets it
+            this.fullscreenBtn.addEventListener('click', () => {
+                if (document.fullscreenElement) {
+                    document.exitFullscreen().catch(() => {});
+                } else {
+                    this.lightbox.requestFullscreen().catch(() => {});
+                }
+            });
+
+            document.addEventListener('fullscreenchange', () => {
+                const active = document.fullscreenElement === this.lightbox;
+                this.lightbox.classList.toggle('fullscreen', active);
+                this.fullscreenBtn.setAttribute('aria-pressed', String(active));
+            });
+        },
+
+        /**
+         * Pointer gestures on the photo: swipe to navigate, pinch or double-tap to zoom, drag to pan
+         */
+        initGestures() {
+            this.stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+            this.stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+            ['pointerup', 'pointercancel'].forEach(type => {
+                this.stage.addEventListener(type, (e) => this.onPointerUp(e));
+            });
+
+            // Keep the browser's own image drag out of the way
+            this.lightboxImage.addEventListener('dragstart', (e) => e.preventDefault());
+        },
+
+        onPointerDown(e) {
+            this.stage.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.gesture = this.startGesture(e);
+            this.stage.classList.add('gesturing');
+        },
+
+        /**
+         * Describe the gesture the current pointers begin, relative to the zoom at that moment
+         * @param {PointerEvent} e - The pointerdown event
+         * @returns {Object} Gesture state
+         */
+        startGesture(e) {
+            const points = Array.from(this.pointers.values());
+            const start = { zoom: { ...this.zoom }, time: e.timeStamp, x: e.clientX, y: e.clientY, moved: false };
+
+            if (points.length >= 2) {
+                return { ...start, type: 'pinch', distance: this.distance(points[0], points[1]) };
+            }
+            return { ...start, type: this.zoom.scale > 1 ? 'pan' : 'swipe' };
+        },
+
+        onPointerMove(e) {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            const gesture = this.gesture;
+            const dx = e.clientX - gesture.x;
+            const dy = e.clientY - gesture.y;
+            if (Math.abs(dx) > 10 || Math.abs(dy) > 10) gesture.moved = true;
+
+            if (gesture.type === 'pinch') {
+                const [a, b] = Array.from(this.pointers.values());
+                const scale = gesture.zoom.scale * this.distance(a, b) / gesture.distance;
+                this.setZoom(scale, gesture.zoom.x, gesture.zoom.y);
+            } else if (gesture.type === 'pan') {
+                this.setZoom(gesture.zoom.scale, gesture.zoom.x + dx, gesture.zoom.y + dy);
+            } else {
+                // Follow the finger horizontally while swiping
+                this.lightboxImage.style.transform = `translateX(${dx}px)`;
+            }
+        },
+
+        onPointerUp(e) {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.delete(e.pointerId);
+
+            const gesture = this.gesture;
+            if (!gesture) return;
+
+            // Lifting one finger of a pinch continues as a pan with the other
+            if (this.pointers.size > 0) {
+                const [id, point] = Array.from(this.pointers.entries())[0];
+                this.gesture = this.startGesture({ pointerId: id, clientX: point.x, clientY: point.y, timeStamp: e.timeStamp });
+                return;
+            }
+            this.gesture = null;
+            this.stage.classList.remove('gesturing');
+
+            const dx = e.clientX - gesture.x;
+            const dy = e.clientY - gesture.y;
+
+            if (gesture.type === 'swipe') {
+                this.applyZoom();
+                if (Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                    if (dx < 0) this.next(); else this.prev();
+                    return;
+                }
+            }
+
+            if (!gesture.moved && gesture.type !== 'pinch') {
+                this.onTap(e);
+            }
+        },
+
+        /**
+         * Two taps in quick succession toggle zoom around the tapped point
+         * @param {PointerEvent} e - The pointerup event
+         */
+        onTap(e) {
+            const lastTap = this.lastTap;
+            this.lastTap = { time: e.timeStamp, x: e.clientX, y: e.clientY };
+
+            if (!lastTap || e.timeStamp - lastTap.time > 300 || this.distance(lastTap, this.lastTap) > 30) return;
+            this.lastTap = null;
+
+            if (this.zoom.scale > 1) {
+                this.resetZoom();
+                return;
+            }
+
+            const rect = this.stage.getBoundingClientRect();
+            const offsetX = e.clientX - (rect.left + rect.width / 2);
+            const offsetY = e.clientY - (rect.top + rect.height / 2);
+            const scale = this.doubleTapScale;
+            this.setZoom(scale, -offsetX * (scale - 1), -offsetY * (scale - 1));
+        },
+
+        distance(a, b) {
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        },
+
+        /**
+         * Zoom and pan the photo, keeping it covering its own frame
+         * @param {number} scale - Zoom factor, clamped to 1..maxScale
+         * @param {number} x - Horizontal pan in pixels
+         * @param {number} y - Vertical pan in pixels
+         */
+        setZoom(scale, x, y) {
+            const clampedScale = Math.min(this.maxScale, Math.max(1, scale));
+            const maxX = this.lightboxImage.offsetWidth * (clampedScale - 1) / 2;
+            const maxY = this.lightboxImage.offsetHeight * (clampedScale - 1) / 2;
+
+            this.zoom = {
+                scale: clampedScale,
+                x: Math.min(maxX, Math.max(-maxX, x)),
+                y: Math.min(maxY, Math.max(-maxY, y))
+            };
+            this.applyZoom();
+        },
+
+        resetZoom() {
+            this.zoom = { scale: 1, x: 0, y: 0 };
+            this.applyZoom();
+        },
+
+        applyZoom() {
+            const { scale, x, y } = this.zoom;
+            this.lightboxImage.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+            this.stage.classList.toggle('zoomed', scale > 1);
+        },
+
+        isActive() {
+            return this.lightbox && this.lightbox.classList.contains('active');
+        }
+    };
+
+    // ============================================
+    // Keyboard Handler Module
+    // ============================================
+    const KeyboardHandler = {
+        init() {
+            document.addEventListener('keydown', (e) => {
+                // Open overlays take Escape first (see Modal)
+                if (e.key !== 'Escape' || e.defaultPrevented) return;
+
+                if (Timeline.isZoomed()) {
+                    Timeline.zoomOut();
+                }
+            });
+
+            document.addEventListener('keydown', (e) => this.activate(e));
+        },
+
+        /**
+         * Enter and Space click elements that act as buttons without being
+         * <button>s (partner cards, timeline milestones), so the click
+         * handlers serve the keyboard too. SVG elements have no click().
+         * @param {KeyboardEvent} e
+         */
+        activate(e) {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const target = e.target;
+            if (!(target instanceof Element) || target.getAttribute('role') !== 'button' || target.tagName === 'BUTTON') return;
+
+            e.preventDefault();
+            target.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+        }
+    };
+
+    // ============================================
+    // Analytics Module
+    // ============================================
+    const Analytics = {
+        consentKey: 'analyticsConsent',
+        /**
+         * Event types and the fields each one carries. Every event also gets
+         * the page language and a timestamp; nothing identifies the visitor.
+         */
+        events: {
+            section_view: ['section'],
+            modal_open: ['view', 'id'],
+            video_play: ['video', 'provider'],
+            language_switch: ['from', 'to'],
+            cta_click: ['cta'],
+            contact_click: ['channel']
+        },
+        /**
+         * Sinks by name, turned on by analytics.sinks in the content file.
+         * Each receives every event once the visitor agrees.
+         */
+        sinks: {
+            console: {
+                send(event) {
+                    console.info('[analytics]', event.type, event);
+                }
+            },
+            beacon: {
+                available(config) {
+                    return Boolean(config.endpoint && navigator.sendBeacon);
+                },
+                send(event, config) {
+                    // A plain string goes out as text/plain, which needs no CORS preflight
+                    navigator.sendBeacon(config.endpoint, JSON.stringify(event));
+                }
+            }
+        },
+        config: {},
+        active: [],
+        // 'granted', 'denied', or null until the visitor decides
+        consent: null,
+        // Events waiting for the visitor's decision
+        queue: [],
+        banner: null,
+        settings: null,
+
+        init() {
+            this.config = Content.data.analytics || {};
+            this.active = (this.config.sinks || []).filter(name => {
+                const sink = this.sinks[name];
+                return sink && (!sink.available || sink.available(this.config));
+            });
+            if (!this.active.length) return;
+
+            this.banner = document.getElementById('consentBanner');
+            this.settings = document.querySelector('[data-consent-settings]');
+            this.consent = this.savedConsent();
+
+            if (this.banner) {
+                this.banner.addEventListener('click', (e) => {
+                    const choice = e.target.closest('[data-consent]');
+                    if (choice) this.decide(choice.dataset.consent);
+                });
+            }
+            if (this.settings) {
+                this.settings.hidden = this.doNotTrack();
+                this.settings.addEventListener('click', () => { if (this.banner) this.banner.hidden = false; });
+            }
+            if (this.banner) this.banner.hidden = this.consent !== null;
+
+            // Calls to action carry data-cta; contact links are told apart by where they lead
+            document.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-cta], a[href^="mailto:"], a[href^="tel:"], .contact-link, .footer-social a');
+                if (!link) return;
+
+                if (link.dataset.cta) {
+                    this.track('cta_click', { cta: link.dataset.cta });
+                } else {
+                    this.track('contact_click', { channel: this.channel(link) });
+                }
+            });
+        },
+
+        /**
+         * The visitor's earlier decision. A Do Not Track or Global Privacy
+         * Control signal counts as a refusal.
+         * @returns {string|null} 'granted', 'denied' or null
+         */
+        savedConsent() {
+            if (this.doNotTrack()) return 'denied';
+            try {
+                const saved = localStorage.getItem(this.consentKey);
+                return saved === 'granted' || saved === 'denied' ? saved : null;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        doNotTrack() {
+            return navigator.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+        },
+
+        /**
+         * Record the visitor's decision and send or drop what was queued
+         * @param {string} consent - 'granted' or 'denied'
+         */
+        decide(consent) {
+            this.consent = consent === 'granted' ? 'granted' : 'denied';
+            try {
+                localStorage.setItem(this.consentKey, this.consent);
+            } catch (error) {
+                // The choice then only lasts for this visit
+            }
+
+            if (this.banner) this.banner.hidden = true;
+            const queued = this.queue.splice(0);
+            if (this.consent === 'granted') queued.forEach(event => this.send(event));
+        },
+
+        /**
+         * Emit an event. It is queued until the visitor decides, and dropped
+         * if they decline or no sink is configured.
+         * @param {string} type - Key of events, e.g. "modal_open"
+         * @param {Object} data - The type's fields, e.g. { view: 'achievements', id: 'euro' }
+         */
+        track(type, data) {
+            if (!this.active.length || this.consent === 'denied') return;
+
+            const fields = this.events[type];
+            if (!fields) {
+                console.warn(`Unknown analytics event "${type}"`);
+                return;
+            }
+
+            const event = { type, locale: I18n.locale, time: new Date().toISOString() };
+            fields.forEach(field => {
+                event[field] = data[field] === undefined ? null : String(data[field]);
+            });
+
+            if (this.consent === 'granted') {
+                this.send(event);
+            } else {
+                this.queue.push(event);
+            }
+        },
+
+        send(event) {
+            this.active.forEach(name => this.sinks[name].send(event, this.config));
+        },
+
+        /**
+         * Name a contact link by where it leads
+         * @param {HTMLAnchorElement} link
+         * @returns {string} e.g. "email", "phone", "instagram"
+         */
+        channel(link) {
+            if (link.protocol === 'mailto:') return 'email';
+            if (link.protocol === 'tel:') return 'phone';
+            return link.hostname.replace(/^www\./, '').split('.')[0];
+        }
+    };
+
+    // ============================================
+    // App Shell Module
+    // ============================================
+    const AppShell = {
+        registration: null,
+        prompt: null,
+        // Set once the visitor asks for the new version, so only that reloads the page
+        updating: false,
+
+        /**
+         * Register the service worker (sw.js) that keeps the page usable
+         * offline, and offer to reload when a new deploy is waiting
+         */
+        init() {
+            if (!('serviceWorker' in navigator)) return;
+
+            this.prompt = document.getElementById('updatePrompt');
+            if (this.prompt) {
+                this.prompt.querySelector('[data-update-reload]').addEventListener('click', () => this.update());
+                this.prompt.querySelector('[data-update-dismiss]').addEventListener('click', () => { this.prompt.hidden = true; });
+            }
+
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updating) location.reload();
+            });
+
+            navigator.serviceWorker.register(assetUrl('sw.js'))
+                .then(registration => {
+                    if (!registration) return;
+                    this.registration = registration;
+                    if (registration.waiting && navigator.serviceWorker.controller) {
+                        this.offer();
+                    }
+
+                    registration.addEventListener('updatefound', () => {
+                        const worker = registration.installing;
+                        worker.addEventListener('statechange', () => {
+                            // Without a controller this is the first install, not an update
+                            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                                this.offer();
+                            }
+                        });
+                    });
+
+                    // A page left open all day checks again whenever it is shown
+                    document.addEventListener('visibilitychange', () => {
+                        if (!document.hidden) registration.update().catch(() => {});
+                    });
+                })
+                .catch(error => console.warn('Offline support unavailable:', error.message));
+        },
+
+        offer() {
+            if (this.prompt) this.prompt.hidden = false;
+        },
+
+        /**
+         * Let the waiting worker take over; controllerchange then reloads the page
+         */
+        update() {
+            const worker = this.registration && this.registration.waiting;
+            if (!worker) return;
+
+            this.updating = true;
+            this.prompt.hidden = true;
+            worker.postMessage({ type: 'skipWaiting' });
+        }
+    };
+
+    // ============================================
+    // I18n Module
+    // ============================================
+    const I18n = {
+        defaultLocale: 'en',
+        locales: [
+            { code: 'en', label: 'EN', name: 'English' },
+            { code: 'de', label: 'DE', name: 'Deutsch' },
+            { code: 'fr', label: 'FR', name: 'Français' },
+            { code: 'it', label: 'IT', name: 'Italiano' }
+        ],
+        // Extra locales to try before the default, e.g. { 'de-CH': ['de'] }
+        fallbacks: {},
+        catalogueUrl: 'data/i18n/{locale}.json',
+        catalogues: {},
+        // Catalogue fetches by locale, so each file is requested once
+        requests: {},
+        locale: 'en',
+
+        isSupported(locale) {
+            return this.locales.some(entry => entry.code === locale);
+        },
+
+        /**
+         * Locales consulted for a lookup, most specific first:
+         * the locale itself, its configured fallbacks, its base language, then the default
+         * @param {string} locale - Locale code, e.g. "de-CH"
+         * @returns {string[]} The fallback chain
+         */
+        chain(locale) {
+            const chain = [locale, ...(this.fallbacks[locale] || []), locale.split('-')[0], this.defaultLocale];
+            return chain.filter((code, index) => chain.indexOf(code) === index);
+        },
+
+        /**
+         * Fetch every catalogue in the locale's chain that is not loaded yet.
+         * A missing catalogue is treated as empty so lookups fall through.
+         * @param {string} locale - Locale code
+         * @returns {Promise<void>}
+         */
+        load(locale) {
+            return Promise.all(this.chain(locale).map(code => {
+                if (!this.requests[code]) {
+                    this.requests[code] = fetch(assetUrl(this.catalogueUrl.replace('{locale}', code)))
+                        .then(response => (response.ok ? response.json() : {}))
+                        .catch(() => ({}))
+                        .then(messages => this.register(code, messages));
+                }
+                return this.requests[code];
+            })).then(() => undefined);
+        },
+
+        /**
+         * Merge messages into a locale's catalogue
+         * @param {string} locale - Locale code
+         * @param {Object<string, string>} messages - Key/message pairs
+         */
+        register(locale, messages) {
+            this.catalogues[locale] = Object.assign(this.catalogues[locale] || {}, messages);
+        },
+
+        lookup(key, locale = this.locale) {
+            const code = this.chain(locale).find(candidate =>
+                this.catalogues[candidate] && Object.prototype.hasOwnProperty.call(this.catalogues[candidate], key));
+            return code ? this.catalogues[code][key] : undefined;
+        },
+
+        has(key, locale = this.locale) {
+            return this.lookup(key, locale) !== undefined;
+        },
+
+        /**
+         * Translate a key, replacing {placeholder} tokens with params.
+         * Returns the key itself when no catalogue in the chain has it.
+         * @param {string} key - Message key
+         * @param {Object} params - Placeholder values
+         * @param {string} locale - Locale code (defaults to the active locale)
+         * @returns {string} The translated message
+         */
+        t(key, params = {}, locale = this.locale) {
+            const message = this.lookup(key, locale);
+            if (message === undefined) return key;
+            return message.replace(/\{(\w+)\}/g, (match, name) =>
+                (Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match));
+        },
+
+        /**
+         * Translate a counted message. The catalogue holds one key per plural
+         * category of the language, e.g. "record.wins.one" and "record.wins.other".
+         * @param {string} key - Message key without the category
+         * @param {number} count - Count, available to the message as {count}
+         * @param {Object} params - Other placeholder values
+         * @param {string} locale - Locale code (defaults to the active locale)
+         * @returns {string} The translated message
+         */
+        plural(key, count, params = {}, locale = this.locale) {
+            const category = `${key}.${new Intl.PluralRules(locale).select(count)}`;
+            return this.t(this.has(category, locale) ? category : `${key}.other`, { ...params, count }, locale);
+        },
+
+        /**
+         * Keys ending in "_html" hold rich text and are inserted as HTML
+         * @param {string} key - Message key
+         * @returns {boolean}
+         */
+        isRich(key) {
+            return key.endsWith('_html');
+        }
+    };
+
+    // ============================================
+    // Theme Module
+    // ============================================
+    const Theme = {
+        // Saved next to the language preference (see LanguageSwitcher)
+        storageKey: 'preferredTheme',
+        motionStorageKey: 'preferredMotion',
+        themes: ['auto', 'light', 'dark', 'contrast'],
+        motions: ['auto', 'full', 'reduced'],
+        theme: 'auto',
+        motion: 'auto',
+        // System preferences followed while a setting is "auto"
+        queries: {
+            dark: window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null,
+            contrast: window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null,
+            reducedMotion: window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null
+        },
+        toggle: null,
+        panel: null,
+
+        /**
+         * Apply the saved choices straight away, before the content loads, so
+         * the page does not flash in the wrong colours. Sets <html data-theme>
+         * to light, dark or contrast and <html data-motion> to full or reduced.
+         */
+        apply() {
+            this.theme = this.saved(this.storageKey, this.themes);
+            this.motion = this.saved(this.motionStorageKey, this.motions);
+            this.update();
+
+            Object.values(this.queries).forEach(query => {
+                if (query && query.addEventListener) query.addEventListener('change', () => this.update());
+            });
+        },
+
+        /**
+         * Wire up the display settings menu in the navbar
+         */
+        init() {
+            this.toggle = document.getElementById('themeToggle');
+            this.panel = document.getElementById('themePanel');
+            if (!this.toggle || !this.panel) return;
+
+            this.toggle.addEventListener('click', () => this.setOpen(this.panel.hidden));
+
+            this.panel.addEventListener('change', (e) => {
+                if (e.target.name === 'theme') this.set('theme', e.target.value);
+                if (e.target.name === 'motion') this.set('motion', e.target.value);
+            });
+
+            this.panel.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') return;
+                e.preventDefault();
+                this.setOpen(false);
+                this.toggle.focus();
+            });
+
+            document.addEventListener('click', (e) => {
+                if (!this.panel.hidden && !e.target.closest('.theme-settings')) this.setOpen(false);
+            });
+
+            this.syncPanel();
+        },
+
+        setOpen(open) {
+            this.panel.hidden = !open;
+            this.toggle.setAttribute('aria-expanded', String(open));
+        },
+
+        /**
+         * A saved choice, or "auto" when there is none
+         * @param {string} key - localStorage key
+         * @param {string[]} allowed - Valid values
+         * @returns {string}
+         */
+        saved(key, allowed) {
+            try {
+                const value = localStorage.getItem(key);
+                return allowed.includes(value) ? value : 'auto';
+            } catch (error) {
+                return 'auto';
+            }
+        },
+
+        /**
+         * Change and remember a setting
+         * @param {string} setting - "theme" or "motion"
+         * @param {string} value - e.g. "dark" or "reduced"
+         */
+        set(setting, value) {
+            const key = setting === 'theme' ? this.storageKey : this.motionStorageKey;
+            this[setting] = value;
+            try {
+                if (value === 'auto') {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, value);
+                }
+            } catch (error) {
+                // The choice then only lasts for this visit
+            }
+            this.update();
+        },
+
+        /**
+         * Colours in use, with "auto" resolved from the system preferences
+         * @returns {string} "light", "dark" or "contrast"
+         */
+        current() {
+            if (this.theme !== 'auto') return this.theme;
+            if (this.queries.contrast && this.queries.contrast.matches) return 'contrast';
+            return this.queries.dark && this.queries.dark.matches ? 'dark' : 'light';
+        },
+
+        reduceMotion() {
+            if (this.motion !== 'auto') return this.motion === 'reduced';
+            return Boolean(this.queries.reducedMotion && this.queries.reducedMotion.matches);
+        },
+
+        /**
+         * Scroll behaviour for scripted scrolling
+         * @returns {string} "auto" with reduced motion, otherwise "smooth"
+         */
+        scrollBehavior() {
+            return this.reduceMotion() ? 'auto' : 'smooth';
+        },
 
-            const imageContainer = document.getElementById('timelinePointModalImage');
-            const img = document.getElementById('timelinePointModalImg');
+        update() {
+            const root = document.documentElement;
+            root.dataset.theme = this.current();
+            root.dataset.motion = this.reduceMotion() ? 'reduced' : 'full';
 
-            if (image) {
-                img.src = image;
-                img.alt = content.title;
-                img.style.objectPosition = point.dataset.imagePosition || '';
-                imageContainer.classList.remove('no-image');
-                img.style.display = 'block';
-            } else {
-                img.style.display = 'none';
-                imageContainer.classList.add('no-image');
-            }
+            // Browser toolbars take the page background
+            const meta = document.querySelector('meta[name="theme-color"]');
+            if (meta) meta.content = getComputedStyle(root).getPropertyValue('--bg-primary').trim() || meta.content;
 
-            Modal.open(this.modal);
+            Carousel.updateMotion();
+            this.syncPanel();
         },
 
-        isActive() {
-            return this.modal && this.modal.classList.contains('active');
+        syncPanel() {
+            if (!this.panel) return;
+            this.panel.querySelectorAll('input[name="theme"], input[name="motion"]').forEach(input => {
+                input.checked = input.value === this[input.name];
+            });
         }
     };
 
     // ============================================
-    // Achievement Modal Module
+    // Language Switcher Module
     // ============================================
-    const AchievementModal = {
-        modal: document.getElementById('achievementModal'),
-
-        getTranslatedContent(card) {
-            const achievementId = card.dataset.achievement;
-            const lang = LanguageSwitcher.currentLang;
-            const translations = LanguageSwitcher.translations.de;
-
-            if (lang === 'de' && achievementId) {
-                return {
-                    category: translations[`achievements.${achievementId}.category`] || card.dataset.category,
-                    title: translations[`achievements.${achievementId}.title`] || card.dataset.title,
-                    location: translations[`achievements.${achievementId}.location`] || card.dataset.location,
-                    result: translations[`achievements.${achievementId}.result`] || card.dataset.result,
-                    description: translations[`achievements.${achievementId}.description`] || card.dataset.description,
-                    quote: translations[`achievements.${achievementId}.quote`] || card.dataset.quote
-                };
-            }
+    const LanguageSwitcher = {
+        storageKey: 'preferredLanguage',
+        picker: null,
+        // Only set on the static language pages written by scripts/build.js
+        siteRoot: document.documentElement.dataset.siteRoot,
 
-            return {
-                category: card.dataset.category,
-                title: card.dataset.title,
-                location: card.dataset.location,
-                result: card.dataset.result,
-                description: card.dataset.description,
-                quote: card.dataset.quote
-            };
+        get currentLang() {
+            return I18n.locale;
         },
 
         init() {
-            const closeBtn = document.getElementById('modalClose');
-            const carousel = document.querySelector('.achievements-carousel');
-
-            Modal.setup(this.modal, { closeButton: closeBtn });
+            this.picker = document.getElementById('langPicker');
+            this.renderPicker();
+            return this.switchLanguage(this.initialLocale());
+        },
 
-            // Event delegation for card clicks
-            if (carousel) {
-                carousel.addEventListener('click', (e) => {
-                    const card = e.target.closest('.achievement-card');
-                    if (!card) return;
+        /**
+         * Saved preference first, then the browser's languages, then the default
+         * @returns {string} Locale code
+         */
+        initialLocale() {
+            if (this.isStaticPage()) return document.documentElement.lang;
 
-                    const content = this.getTranslatedContent(card);
+            const saved = this.savedLocale();
+            if (saved && I18n.isSupported(saved)) return saved;
 
-                    document.getElementById('modalCategory').textContent = content.category;
-                    document.getElementById('modalTitle').textContent = content.title;
-                    document.getElementById('modalLocation').textContent = content.location;
-                    document.getElementById('modalResult').textContent = content.result;
-                    document.getElementById('modalDescription').textContent = content.description;
+            const preferred = (navigator.languages || [navigator.language])
+                .filter(Boolean)
+                .map(code => code.split('-')[0])
+                .find(code => I18n.isSupported(code));
 
-                    const quoteEl = document.getElementById('modalQuote');
-                    if (content.quote) {
-                        quoteEl.textContent = '"' + content.quote + '"';
-                        quoteEl.style.display = 'block';
-                    } else {
-                        quoteEl.style.display = 'none';
-                    }
+            return preferred || I18n.defaultLocale;
+        },
 
-                    Modal.open(this.modal);
-                });
+        /**
+         * The language the visitor picked before
+         * @returns {string|null} Locale code
+         */
+        savedLocale() {
+            try {
+                return localStorage.getItem(this.storageKey);
+            } catch (error) {
+                // Storage may be unavailable (e.g. privacy mode)
+                return null;
             }
         },
 
-        isActive() {
-            return this.modal && this.modal.classList.contains('active');
-        }
-    };
-
-    // ============================================
-    // Partner Modal Module
-    // ============================================
-    const PartnerModal = {
-        modal: document.getElementById('partnerModal'),
-        content: document.getElementById('partnerModalContent'),
+        isStaticPage() {
+            return this.siteRoot !== undefined;
+        },
 
-        init() {
-            const closeBtn = document.querySelector('.partner-modal-close');
-            const grid = document.querySelector('.partners-grid');
+        /**
+         * URL of a locale's static page, relative to the current page
+         * @param {string} lang - Locale code
+         * @returns {string} e.g. "../fr/" from the German page
+         */
+        pageUrl(lang) {
+            const path = lang === I18n.defaultLocale ? '' : `${lang}/`;
+            return (this.siteRoot || './') + path;
+        },
 
-            Modal.setup(this.modal, {
-                closeButton: closeBtn,
-                contentElement: this.content
-            });
+        /**
+         * On the default-language static page, send visitors who picked another
+         * language earlier to that language's page. Crawlers carry no saved choice.
+         * @returns {boolean} True if the page is being replaced
+         */
+        redirectToSavedPage() {
+            if (!this.isStaticPage() || document.documentElement.lang !== I18n.defaultLocale) return false;
 
-            // Event delegation for card clicks
-            if (grid) {
-                grid.addEventListener('click', (e) => {
-                    const card = e.target.closest('.partner-card');
-                    if (!card) return;
+            const saved = this.savedLocale();
+            if (!saved || saved === I18n.defaultLocale || !I18n.isSupported(saved)) return false;
 
-                    const cardClone = card.cloneNode(true);
-                    this.content.innerHTML = '';
-                    this.content.appendChild(cardClone);
-                    Modal.open(this.modal);
-                });
-            }
+            location.replace(this.pageUrl(saved) + location.hash);
+            return true;
         },
 
-        isActive() {
-            return this.modal && this.modal.classList.contains('active');
-        }
-    };
-
-    // ============================================
-    // Gallery Carousel Module
-    // ============================================
-    const GalleryCarousel = {
-        track: null,
-        scrollAmount: 400,
+        renderPicker() {
+            if (!this.picker) return;
 
-        init() {
-            this.track = document.querySelector('.gallery-track');
-            if (!this.track) return;
+            this.picker.innerHTML = I18n.locales.map(locale => `
+                <button type="button" class="lang-option" data-locale="${locale.code}" lang="${locale.code}" title="${escapeHtml(locale.name)}" aria-pressed="false">${escapeHtml(locale.label)}</button>`).join('');
 
-            const prevBtn = document.getElementById('galleryPrev');
-            const nextBtn = document.getElementById('galleryNext');
+            this.picker.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-locale]');
+                if (!option) return;
+                if (option.dataset.locale !== I18n.locale) {
+                    Analytics.track('language_switch', { from: I18n.locale, to: option.dataset.locale });
+                }
+                const previous = I18n.locale;
+                try {
+                    localStorage.setItem(this.storageKey, option.dataset.locale);
+                } catch (error) {
+                    // The choice then only lasts for this visit
+                }
+                this.switchLanguage(option.dataset.locale).then(() => {
+                    if (I18n.locale !== previous) this.announce();
+                });
+            });
+        },
 
-            if (prevBtn) {
-                prevBtn.addEventListener('click', () => this.scroll('left'));
-            }
-            if (nextBtn) {
-                nextBtn.addEventListener('click', () => this.scroll('right'));
+        /**
+         * Tell screen readers the page language changed, in the new language
+         */
+        announce() {
+            const status = document.getElementById('languageStatus');
+            const locale = I18n.locales.find(item => item.code === I18n.locale);
+            if (status && locale) {
+                status.textContent = I18n.t('language.changed', { language: locale.name });
             }
         },
 
-        scroll(direction) {
-            const amount = direction === 'left' ? -this.scrollAmount : this.scrollAmount;
-            this.track.scrollBy({
-                left: amount,
-                behavior: 'smooth'
-            });
-        }
-    };
+        /**
+         * Load the locale's catalogues and translate the page. Static language
+         * pages move to the other language's page instead.
+         * @param {string} lang - Locale code
+         * @returns {Promise<void>}
+         */
+        switchLanguage(lang) {
+            if (this.isStaticPage() && lang !== document.documentElement.lang) {
+                location.assign(this.pageUrl(lang) + location.hash);
+                return Promise.resolve();
+            }
 
-    // ============================================
-    // Video Carousel Module
-    // ============================================
-    const VideoCarousel = {
-        track: null,
-        scrollAmount: 400,
+            return I18n.load(lang).then(() => {
+                I18n.locale = lang;
+                I18n.register(lang, FightLog.messages(lang));
+                this.applyTranslations(document);
+
+                if (this.picker) {
+                    this.picker.querySelectorAll('[data-locale]').forEach(option => {
+                        const active = option.dataset.locale === lang;
+                        option.classList.toggle('active', active);
+                        option.setAttribute('aria-pressed', String(active));
+                    });
+                }
 
-        init() {
-            this.track = document.querySelector('.video-track');
-            if (!this.track) return;
+                document.documentElement.lang = lang;
+            });
+        },
 
-            const prevBtn = document.getElementById('videoPrev');
-            const nextBtn = document.getElementById('videoNext');
+        /**
+         * Translate every data-i18n element below root. Elements may pass
+         * placeholder values as JSON in data-i18n-params, data-i18n-attrs maps
+         * attributes to keys (e.g. {"aria-label": "carousel.next"}), and
+         * data-i18n-date elements show their date in the page language.
+         * @param {ParentNode} root - Element or document to translate
+         */
+        applyTranslations(root) {
+            root.querySelectorAll('[data-i18n-date]').forEach(el => {
+                el.textContent = el.dataset.i18nDateEnd
+                    ? formatDateRange(el.dataset.i18nDate, el.dataset.i18nDateEnd, I18n.locale)
+                    : formatDate(el.dataset.i18nDate, I18n.locale, el.dataset.i18nMonth);
+            });
 
-            if (prevBtn) {
-                prevBtn.addEventListener('click', () => this.scroll('left'));
-            }
-            if (nextBtn) {
-                nextBtn.addEventListener('click', () => this.scroll('right'));
-            }
+            root.querySelectorAll('[data-i18n-region]').forEach(el => {
+                el.textContent = formatCountry(el.dataset.i18nRegion, I18n.locale);
+            });
 
-            // Handle video thumbnail clicks
-            this.track.addEventListener('click', (e) => {
-                const videoItem = e.target.closest('.video-item[data-video-id]');
-                if (!videoItem || videoItem.classList.contains('playing')) return;
+            root.querySelectorAll('[data-i18n-amount]').forEach(el => {
+                el.textContent = Budget.format(Number(el.dataset.i18nAmount));
+            });
 
-                const videoId = videoItem.dataset.videoId;
-                const iframe = document.createElement('iframe');
-                iframe.src = `https://www.youtube-nocookie.com/embed/${videoId}?autoplay=1&modestbranding=1&rel=0&showinfo=0&iv_load_policy=3`;
-                iframe.title = 'Video';
-                iframe.frameBorder = '0';
-                iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
-                iframe.allowFullscreen = true;
+            root.querySelectorAll('[data-i18n-percent]').forEach(el => {
+                el.textContent = Budget.percent(Number(el.dataset.i18nPercent));
+            });
 
-                videoItem.appendChild(iframe);
-                videoItem.classList.add('playing');
+            root.querySelectorAll('[data-i18n-attrs]').forEach(el => {
+                const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {};
+                Object.entries(JSON.parse(el.dataset.i18nAttrs)).forEach(([attribute, key]) => {
+                    if (I18n.has(key)) el.setAttribute(attribute, I18n.t(key, params));
+                });
             });
-        },
 
-        scroll(direction) {
-            const amount = direction === 'left' ? -this.scrollAmount : this.scrollAmount;
-            this.track.scrollBy({
-                left: amount,
-                behavior: 'smooth'
+            root.querySelectorAll('[data-i18n]').forEach(el => {
+                const key = el.dataset.i18n;
+                if (!I18n.has(key)) return;
+
+                const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {};
+                const message = I18n.t(key, params);
+
+                if (I18n.isRich(key)) {
+                    el.innerHTML = message;
+                } else {
+                    el.textContent = message;
+                }
             });
         }
     };
 
     // ============================================
-    // Gallery Lightbox Module
+    // Content Editor Module
     // ============================================
-    const GalleryLightbox = {
-        lightbox: null,
-        lightboxImage: null,
-        images: [],
-        currentIndex: 0,
+    const ContentEditor = {
+        // Edited side by side; English content fields live in the content file
+        locales: ['en', 'de'],
+        files: {
+            content: 'data/content.json',
+            en: 'data/i18n/en.json',
+            de: 'data/i18n/de.json'
+        },
+        // The files as they are on disk: { content: { text, data }, en: ..., de: ... }
+        sources: {},
+        // Content fields by message key: { owner, field, path } in sources.content.data
+        fields: new Map(),
+        // Changed messages by locale
+        edits: { en: {}, de: {} },
+        dialog: null,
+        bar: null,
+
+        /**
+         * Edit mode is opt-in with ?edit and only for pages served from this computer
+         * @returns {boolean}
+         */
+        enabled() {
+            const local = ['localhost', '127.0.0.1', '[::1]', ''].includes(location.hostname);
+            return local && new URLSearchParams(location.search).has('edit') && !LanguageSwitcher.isStaticPage();
+        },
 
+        /**
+         * Load fresh copies of the files the editor writes, then let clicks on
+         * texts, achievement cards, milestones and budget lines open the editor
+         * @returns {Promise<void>}
+         */
         init() {
-            this.lightbox = document.getElementById('galleryLightbox');
-            this.lightboxImage = document.getElementById('lightboxImage');
-            if (!this.lightbox) return;
+            if (!this.enabled()) return Promise.resolve();
+
+            // no-store also keeps the service worker out of the way (see sw.js)
+            const read = path => fetch(assetUrl(path), { cache: 'no-store' })
+                .then(response => response.text())
+                .then(text => ({ text, data: JSON.parse(text) }));
+
+            return Promise.all([...Object.values(this.files).map(read), I18n.load('de')])
+                .then(([content, en, de]) => {
+                    this.sources = { content, en, de };
+                    this.indexContent();
+                    this.render();
+                    this.bind();
+                });
+        },
 
-            // Get all gallery images
-            this.images = Array.from(document.querySelectorAll('.gallery-item img'));
+        /**
+         * Map each content field's message key to its place in the content file
+         */
+        indexContent() {
+            const paths = new Map();
+            const walk = (value, path) => {
+                if (!value || typeof value !== 'object') return;
+                paths.set(value, path);
+                Object.keys(value).forEach(key => walk(value[key], [...path, key]));
+            };
+            walk(this.sources.content.data, []);
 
-            // Add click handlers to gallery images
-            this.images.forEach((img, index) => {
-                img.addEventListener('click', () => {
-                    this.open(index);
-                });
+            Content.textFields(this.sources.content.data).forEach(({ key, owner, field }) => {
+                this.fields.set(key, { owner, field, path: [...paths.get(owner), String(field)].join('/') });
             });
+        },
 
-            // Close button
-            const closeBtn = document.getElementById('lightboxClose');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => this.close());
-            }
+        render() {
+            document.documentElement.dataset.editing = '';
+            document.body.insertAdjacentHTML('beforeend', `
+                <div class="content-editor-bar" id="contentEditorBar">
+                    <span class="content-editor-bar-text">Edit mode: click a text, card, milestone or budget line to change it.</span>
+                    ${Object.keys(this.files).map(name => `
+                    <button type="button" data-export="${name}" title="Save as ${this.files[name]}" disabled>${this.files[name].split('/').pop()}</button>`).join('')}
+                    <a href="${escapeHtml(location.pathname)}">Leave</a>
+                </div>
+                <div class="content-editor" id="contentEditor">
+                    <div class="content-editor-panel">
+                        <div class="content-editor-header">
+                            <h2 id="contentEditorTitle">Edit text</h2>
+                            <button type="button" class="content-editor-close" aria-label="Close">&times;</button>
+                        </div>
+                        <div class="content-editor-preview">
+                            Preview in
+                            ${this.locales.map(code => `<button type="button" data-preview="${code}">${escapeHtml(this.localeName(code))}</button>`).join('')}
+                        </div>
+                        <div class="content-editor-fields" id="contentEditorFields"></div>
+                    </div>
+                </div>`);
+
+            this.bar = document.getElementById('contentEditorBar');
+            this.dialog = document.getElementById('contentEditor');
+            Modal.setup(this.dialog, {
+                closeButton: this.dialog.querySelector('.content-editor-close'),
+                contentElement: this.dialog.querySelector('.content-editor-panel'),
+                labelledBy: 'contentEditorTitle'
+            });
+        },
 
-            // Navigation buttons
-            const prevBtn = document.getElementById('lightboxPrev');
-            const nextBtn = document.getElementById('lightboxNext');
-            if (prevBtn) {
-                prevBtn.addEventListener('click', () => this.prev());
-            }
-            if (nextBtn) {
-                nextBtn.addEventListener('click', () => this.next());
-            }
+        bind() {
+            // Ahead of the page's own handlers, so cards and links do not open while editing
+            document.addEventListener('click', (e) => {
+                if (e.target.closest('.content-editor, .content-editor-bar, #langPicker')) return;
+
+                const keys = this.keysFor(e.target);
+                if (!keys.length) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.open(keys);
+            }, true);
+
+            this.dialog.addEventListener('input', (e) => {
+                const { key, locale } = e.target.dataset;
+                if (key) this.change(key, locale, e.target.value);
+            });
 
-            // Close on background click
-            this.lightbox.addEventListener('click', (e) => {
-                if (e.target === this.lightbox) {
-                    this.close();
-                }
+            this.dialog.querySelector('.content-editor-preview').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-preview]');
+                if (button) LanguageSwitcher.switchLanguage(button.dataset.preview);
             });
 
-            // Keyboard navigation
-            document.addEventListener('keydown', (e) => {
-                if (!this.isActive()) return;
-                if (e.key === 'ArrowLeft') this.prev();
-                if (e.key === 'ArrowRight') this.next();
-                if (e.key === 'Escape') this.close();
+            this.bar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-export]');
+                if (!button) return;
+                const name = this.files[button.dataset.export].split('/').pop();
+                saveFile(name, new Blob([this.file(button.dataset.export)], { type: 'application/json' }));
             });
-        },
 
-        open(index) {
-            this.currentIndex = index;
-            this.updateImage();
-            this.lightbox.classList.add('active');
-            document.body.style.overflow = 'hidden';
+            window.addEventListener('beforeunload', (e) => {
+                if (this.changedFiles().length) {
+                    e.preventDefault();
+                    e.returnValue = '';
+                }
+            });
         },
 
-        close() {
-            this.lightbox.classList.remove('active');
-            document.body.style.overflow = '';
+        /**
+         * Message keys edited together for a clicked element: every text of an
+         * achievement, milestone or budget line, or a single data-i18n text
+         * @param {Element} target - Clicked element
+         * @returns {string[]} Editable keys
+         */
+        keysFor(target) {
+            const card = target.closest('.achievement-card');
+            const point = target.closest('.timeline-point-group, .timeline-vertical-item');
+            const line = target.closest('.budget-item[data-budget-line]');
+            const text = target.closest('[data-i18n]');
+
+            let keys = [];
+            if (card) {
+                const id = card.dataset.achievement;
+                keys = ['category', 'title', 'location', 'result', 'preview_html', 'description', 'quote'].map(field => `achievements.${id}.${field}`);
+            } else if (point) {
+                const id = point.dataset.point;
+                keys = [`timeline.${id}`, ...['title', 'date', 'description', 'progress'].map(field => `timeline.point.${id}.${field}`)];
+            } else if (line) {
+                const id = line.dataset.budgetLine;
+                keys = [`budget.${id}`, `budget.${id}.desc`];
+            } else if (text) {
+                keys = [text.dataset.i18n];
+            }
+            return keys.filter(key => this.editable(key));
         },
 
-        prev() {
-            this.currentIndex = (this.currentIndex - 1 + this.images.length) % this.images.length;
-            this.updateImage();
+        /**
+         * Texts with an English source in one of the files. Results worked out
+         * from the fight log are left out.
+         * @param {string} key - Message key
+         * @returns {boolean}
+         */
+        editable(key) {
+            const source = this.fields.has(key) || Object.prototype.hasOwnProperty.call(this.sources.en.data, key);
+            return source && !Object.prototype.hasOwnProperty.call(FightLog.messages(I18n.defaultLocale), key);
         },
 
-        next() {
-            this.currentIndex = (this.currentIndex + 1) % this.images.length;
-            this.updateImage();
+        /**
+         * The text of a key in a locale, edited or as it is on disk
+         * @param {string} key - Message key
+         * @param {string} locale - 'en' or 'de'
+         * @returns {string}
+         */
+        value(key, locale) {
+            if (Object.prototype.hasOwnProperty.call(this.edits[locale], key)) return this.edits[locale][key];
+            if (locale === I18n.defaultLocale && this.fields.has(key)) {
+                const { owner, field } = this.fields.get(key);
+                return owner[field];
+            }
+            return this.sources[locale].data[key] || '';
         },
 
-        updateImage() {
-            const img = this.images[this.currentIndex];
-            this.lightboxImage.src = img.dataset.full || img.src;
-            this.lightboxImage.alt = img.alt;
+        localeName(code) {
+            return I18n.locales.find(locale => locale.code === code).name;
         },
 
-        isActive() {
-            return this.lightbox && this.lightbox.classList.contains('active');
-        }
-    };
-
-    // ============================================
-    // Keyboard Handler Module
-    // ============================================
-    const KeyboardHandler = {
-        init() {
-            document.addEventListener('keydown', (e) => {
-                if (e.key !== 'Escape') return;
+        /**
+         * Show the English and German text of each key side by side
+         * @param {string[]} keys - Editable keys
+         */
+        open(keys) {
+            document.getElementById('contentEditorFields').innerHTML = keys.map(key => `
+                <div class="content-editor-field">
+                    <div class="content-editor-key">
+                        <code>${escapeHtml(key)}</code>
+                        ${I18n.isRich(key) ? '<span>HTML</span>' : ''}
+                    </div>
+                    ${this.locales.map(locale => `
+                    <label>
+                        <span>${escapeHtml(this.localeName(locale))}</span>
+                        <textarea rows="${this.value(key, 'en').length > 80 ? 5 : 2}" lang="${locale}" data-key="${escapeHtml(key)}" data-locale="${locale}"${locale !== I18n.defaultLocale ? ` placeholder="${escapeHtml(this.value(key, 'en'))}"` : ''}>${escapeHtml(this.value(key, locale))}</textarea>
+                    </label>`).join('')}
+                </div>`).join('');
+
+            Modal.open(this.dialog);
+            this.dialog.querySelector('textarea').focus();
+        },
 
-                // Check modals in order of priority
-                if (GalleryLightbox.isActive()) {
-                    GalleryLightbox.close();
-                } else if (TimelinePointModal.isActive()) {
-                    Modal.close(TimelinePointModal.modal);
-                } else if (AchievementModal.isActive()) {
-                    Modal.close(AchievementModal.modal);
-                } else if (PartnerModal.isActive()) {
-                    Modal.close(PartnerModal.modal);
-                } else if (Navigation.isSidebarActive()) {
-                    Navigation.closeSidebar();
-                } else if (Timeline.isZoomed()) {
-                    Timeline.zoomOut();
+        /**
+         * Keep an edit and show it on the page right away. An empty German
+         * text falls back to the English one.
+         * @param {string} key - Message key
+         * @param {string} locale - 'en' or 'de'
+         * @param {string} value - New text
+         */
+        change(key, locale, value) {
+            // Milestones without a label show their title under two keys, which
+            // share one English text
+            const keys = locale === I18n.defaultLocale ? this.sharedKeys(key) : [key];
+            keys.forEach(shared => {
+                this.edits[locale][shared] = value;
+
+                if (value === '' && locale !== I18n.defaultLocale) {
+                    delete I18n.catalogues[locale][shared];
+                } else {
+                    I18n.register(locale, { [shared]: value });
                 }
-            });
-        }
-    };
-
-    // ============================================
-    // Language Switcher Module
-    // ============================================
-    const LanguageSwitcher = {
-        currentLang: 'en',
-        toggle: null,
-        translations: {
-            de: {
-                // Navigation
-                'nav.about': 'Über mich',
-                'nav.gallery': 'Galerie',
-                'nav.achievements': 'Erfolge',
-                'nav.journey': 'Mein Weg',
-                'nav.sponsorship': 'Partner werden',
-                'nav.contacts': 'Kontakt',
-                'nav.partner': 'Partner werden',
-
-                // Hero
-                'hero.tagline': 'Junge, aufstrebende Kickboxerin aus der Schweiz mit internationalen Erfolgen – ein Symbol für Talent, Disziplin und Ambition auf internationaler Ebene.',
-                'hero.badge.european': 'Europameisterin',
-                'hero.badge.swiss': '2x<br>Schweizer Meisterin',
-                'hero.badge.national': 'Nationalmannschaft',
-                'hero.cta': 'Sponsor werden',
-
-                // About
-                'about.title': 'Über Eva Tschanz-Eichar',
-                'about.text': 'Beständigkeit, persönliches Wachstum, Lebensfreude sowie Respekt und Freundlichkeit gegenüber anderen stehen für mich an erster Stelle.',
-                'about.age': 'Alter',
-                'about.age.value': '17 Jahre',
-                'about.nationality': 'Nationalität',
-                'about.nationality.value': 'Schweiz & Kanada',
-                'about.location': 'Standort',
-                'about.location.value': 'Bern, Schweiz',
-                'about.discipline': 'Disziplin',
-                'about.gym': 'Gym',
-                'about.competing': 'Teilnahme an Wettkämpfen seit',
-                'about.cta': '→ Kontakt aufnehmen',
-
-                // Achievements
-                'achievements.title': 'Erfolge',
-                'achievements.euro.category': 'Europameisterschaft',
-                'achievements.euro.result': '3 Kämpfe, 3 Siege --> Goldmedaille',
-                'achievements.euro.preview': '9 Teilnehmerinnen in der Kategorie. Jeden Kampf dominiert und den Europatitel nach intensiver Vorbereitung geholt.',
-                'achievements.cups.category': 'Internationale Wettkämpfe',
-                'achievements.cups.result': 'Mehrere Goldmedaillen & Wachstum',
-                'achievements.cups.preview': '<strong>Jesolo:</strong> Lernerfahrung – Motivation zur Verbesserung<br><strong>Sarajevo:</strong> Erste internationale Goldmedaille<br><strong>Antalya:</strong> TKO-Sieg, Kampf gegen Weltmeisterin<br><strong>Budapest:</strong> Dominanter Sieg<br><strong>Zagreb:</strong> 2 Siege – wertvolle Erfahrung und Wachstum',
-                'achievements.swiss.category': 'Schweizer Meisterschaften',
-                'achievements.swiss.result': 'Nationale Meisterin (WAKO & SCOS)',
-                'achievements.swiss.location': 'Schweiz',
-                'achievements.swiss.preview': '<strong>WAKO:</strong> Dominanter Sieg auf nationaler Ebene<br><strong>SCOS:</strong> Nach einem Jahr Qualifikationen fast alle gewonnen und einen klaren Sieg im Finale errungen',
-                'achievements.pro.category': 'Profikämpfe',
-                'achievements.pro.location': 'Darmstadt & Essen, Deutschland',
-                'achievements.pro.result': '2 Kämpfe, 2 Siege',
-                'achievements.pro.preview': 'Hatte meine ersten Profikämpfe bei International Fight Promotion (IFP) - einer in Darmstadt, einer in Essen. Beide gewonnen.',
-                'achievements.expand': 'Klicken für mehr →',
-
-                // Achievement modal content
-                'achievements.euro.title': 'Europameisterschaft 2025',
-                'achievements.euro.location': 'Jesolo, Italien',
-                'achievements.euro.description': '9 Teilnehmerinnen in der Kategorie. Jeden Kampf dominiert und den Titel geholt.',
-                'achievements.euro.quote': 'Ich habe den ganzen Sommer für diesen Wettkampf trainiert. Ich bin nicht in die Ferien gefahren, sondern zu Hause geblieben und habe mehrmals am Tag trainiert. Ich habe mich stark auf meine Ernährung und Gesundheit konzentriert, alles gegeben und am Ende gewonnen.',
-
-                'achievements.cups.title': 'Internationale Wettkämpfe 2025–2026',
-                'achievements.cups.location': 'Italien, Sarajevo, Türkei, Ungarn, Kroatien',
-                'achievements.cups.description': 'International Open (Jesolo): Meinen ersten internationalen Kampf nach Punkten verloren. Eine harte Lernerfahrung, die zur Motivation für Verbesserungen wurde.\n\nEuropean Cup Grand Prix (Sarajevo): Zwei harte Kämpfe im Turnier, gewann meine erste Goldmedaille in einem internationalen Wettkampf.\n\nWeltcup Türkei (Antalya): Ersten Kampf durch TKO gewonnen. Zweiten Kampf gegen dieselbe Gegnerin aus Italien verloren - eine Weltmeisterin und Europameisterin, die selten verliert. Diese Niederlage hat noch mehr Feuer entfacht, härter zu arbeiten. Ziel: 2026 gegen sie gewinnen.\n\nWeltcup Ungarn (Budapest): Dominanter Sieg gegen eine erfahrene Gegnerin, technische Überlegenheit und Kampfintelligenz gezeigt.\n\nEuropean Cup Zagreb (Kroatien): Zwei Siege beim European Cup 2026 – ein starkes Feld, das wertvolle Lektionen gebracht hat. Jeder Kampf auf diesem Niveau schärft den Fokus für das, was noch kommt.',
-
-                'achievements.swiss.title': 'Schweizer Meisterschaften 2024',
-                'achievements.swiss.description': 'WAKO Meisterschaften: Die Konkurrenz bei den Schweizer WAKO Meisterschaften dominiert, gute Technik und Kondition gezeigt.\n\nSCOS Meisterschaften: Nach einem ganzen Jahr Qualifikationen, die meisten davon gewonnen, qualifizierte ich mich fürs Finale. Erziehlte einen klaren Sieg in den Meisterschaftsfinals.',
-
-                'achievements.pro.title': 'Profikämpfe 2026',
-                'achievements.pro.description': 'Hatte meine ersten Profikämpfe bei International Fight Promotion (IFP) - der erste in Darmstadt, der zweite in Essen. Beide Kämpfe gewonnen.',
-
-                // Timeline
-                'timeline.title': 'Der Weg nach vorne',
-                'timeline.section1': 'Die bisherige Reise',
-                'timeline.section1.sub': '2021 - 2025',
-                'timeline.section2': '2026 Ziele',
-                'timeline.section2.sub': 'Nächstes Kapitel',
-                'timeline.section3': 'Langfristige Vision',
-                'timeline.section3.sub': 'Der Traum',
-                'timeline.hint': 'Klicke auf einen Abschnitt zum Vergrössern',
-                'timeline.started': 'Trainingsbeginn',
-                'timeline.first': 'Erster Wettkampf',
-                'timeline.swiss': 'Schweizer Meisterin',
-                'timeline.national': 'Nationalmannschaft',
-                'timeline.euro': 'Europameisterin',
-                'timeline.pro': 'Erster Profikampf',
-                'timeline.juniorwc': 'Junioren Weltmeisterschaft',
-                'timeline.seniorec': 'Senioren Europameisterschaft',
-                'timeline.one': 'ONE Championships',
-                'timeline.olympics': 'Olympische Spiele',
-
-                // Budget
-                'budget.title': 'Investitionsübersicht',
-                'budget.subtitle': 'Ein transparenter Einblick in das, was es braucht, um auf höchstem Niveau im Kickboxen zu konkurrieren',
-                'budget.training': 'Training & Coaching',
-                'budget.training.desc': 'Mitgliedschaften, professionelles Athletiktraining',
-                'budget.competition': 'Wettkampf & Reisen',
-                'budget.competition.desc': 'Startgebühren, Flüge, Unterkunft für internationale Events',
-                'budget.equipment': 'Ausrüstung',
-                'budget.equipment.desc': 'Handschuhe, Schutzausrüstung, Trainingskleidung, Wettkampfkleidung',
-                'budget.nutrition': 'Ernährung',
-                'budget.nutrition.desc': 'Spezialisierter Ernährungsplan, Nahrungsergänzungsmittel',
-                'budget.total': 'Jährliche Investition',
-                'budget.summary.title': 'Wohin deine Unterstützung geht',
-                'budget.summary.text1': 'Jeder Franken wird direkt in Training, Wettkampf und Entwicklung investiert. Als Amateursportlerin balanciere ich meine sportliche Karriere mit meinem Studium und widme jede verfügbare Ressource dem Ziel, die Spitze meines Sports zu erreichen.',
-                'budget.summary.text2': 'Dein Sponsoring hilft, diese wesentlichen Kosten zu decken, damit ich mich auf das Wichtigste konzentrieren kann: die beste Kickboxerin zu werden, die ich sein kann, und die Schweiz auf der Weltbühne zu vertreten.',
-                'budget.cta': '→ Sponsoring besprechen',
-
-                // Education
-                'education.title': 'Ausbildung & Ziele',
-                'education.text1': 'Ausserhalb des Rings besuche ich das Sportgymnasium Neufeld in Bern und verfolge das Ziel, professionelle Kickboxerin zu werden. Langfristig strebe ich eine Teilnahme an den Olympischen Spielen sowie eine Karriere in der Weltklasse-Kampforganisation ONE Championship an.',
-                'education.text2': 'Neben meinen sportlichen Ambitionen interessiere ich mich für ein Studium in Informatik oder Ingenieurwesen.',
-                'education.text3': 'Ich habe den Schweizer J+S Leiterkurs abgeschlossen und helfe mit den Kindertrainings in meinem Gym.',
-                'education.text4': 'Als Vorbild für junge Mädchen im Kampfsport möchte ich sie inspirieren, ihren eigenen Weg zu gehen und durch Disziplin und harte Arbeit Selbstvertrauen zu gewinnen.',
-
-                // Kickboxing
-                'kickboxing.title': 'K1 Kickboxen',
-                'kickboxing.text1': 'K1 Kickboxen ist eine der intensivsten Kampfsportarten der Welt. Es hat Techniken aus Muay Thai, Karate und westlichem Boxen zu einem schnellen, explosiven Kampfsport kombiniert.',
-                'kickboxing.text2': 'Kämpfer nutzen Schläge, Tritte und Kniestösse, um Punkte zu sammeln oder Knockouts zu erzielen. Anders als bei Muay Thai sind Ellbogen nicht erlaubt und Clinchen ist begrenzt, was den Fokus auf dynamische Schlagaustausche legt.',
-                'kickboxing.text3': 'Kämpfe bestehen aus drei 3-Minuten-Runden für Profis oder drei 2-Minuten-Runden für Amateure. Der Sieg kann durch Knockout, technischen Knockout (3 Niederschläge in einer Runde) oder Punktrichterentscheidung basierend auf effektiven Treffern, Schaden und Aggressivität erreicht werden.',
-                'kickboxing.text4': 'K1 ist zu einem globalen Phänomen gewachsen mit grossen internationalen Wettkämpfen wie Europameisterschaften, Weltcups und Weltmeisterschaften, organisiert von Verbänden wie WAKO (World Association of Kickboxing Organizations).',
-
-                // Values
-                'values.title': 'Wofür ich stehe',
-                'values.text': 'Diese Grundwerte leiten alles, was ich tue - von frühmorgendlichen Trainingseinheiten bis hin zu Wettkämpfen auf internationaler Bühne. Sie prägen, wer ich als Sportlerin und als Mensch bin.',
-                'values.consistency': 'Beständigkeit',
-                'values.consistency.desc': 'Jeden Tag erscheinen, die Arbeit investieren und dem Prozess vertrauen',
-                'values.growth': 'Wachstum',
-                'values.growth.desc': 'Die beste Version meiner selbst werden, Tag für Tag',
-                'values.respect': 'Respekt',
-                'values.respect.desc': 'Jeden mit Freundlichkeit behandeln, im Ring und ausserhalb',
-                'values.inspiration': 'Inspiration',
-                'values.inspiration.desc': 'Ein Vorbild für junge Sportler sein, besonders für Mädchen im Kampfsport',
-
-                // Sponsorship
-                'sponsorship.title': 'Partner einer Meisterin werden',
-                'sponsorship.intro': 'Eine Investition in Eva verbindet deine Marke mit Beständigkeit, Wachstum, Respekt und Inspiration — die Grundlage wahrer Exzellenz.',
-                'sponsorship.offer': 'Was ich anbiete:',
-                'sponsorship.content': 'Authentischer Content',
-                'sponsorship.content.desc': 'Wirkungsvoller Content aus Training, Wettkampf und dem täglichen Kampfleben',
-                'sponsorship.visibility': 'Markensichtbarkeit',
-                'sponsorship.visibility.desc': 'Starke Markenpräsenz bei nationalen und internationalen K1- und Kickbox-Events',
-                'sponsorship.representation': 'Konstante Repräsentation',
-                'sponsorship.representation.desc': 'Vertretung deiner Marke in Training, Medien und auf sozialen Plattformen',
-                'sponsorship.ambassador': 'Inspirierende Botschafterin',
-                'sponsorship.ambassador.desc': 'Eine motivierte junge Athletin, die andere durch Kampfsport inspiriert',
-                'sponsorship.cta': '→ Sponsor werden',
-
-                // Partners
-                'partners.title': 'Aktuelle Partner',
-                'partners.edubily.desc': 'Erstellung von ansprechendem Content zur Unterstützung ihrer Marke durch authentische, hochwertige Inhalte aus meiner sportlichen Reise.',
-                'partners.edubily.role': 'Content Creator',
-                'partners.mcdonalds.desc': 'Stolze, durch Sprothilfe erzeugte, Partnerschaft. Sie unterstützen meine sportliche Reise und ich halte während der Saison engen Kontakt mit meiner Patin.',
-                'partners.mcdonalds.role': 'Athletenpartnerschaft via Sporthilfe',
-
-                // Contact
-                'contact.title': 'Lass uns verbinden',
-                'contact.text': 'Interesse an Sponsoring-Möglichkeiten, Medienanfragen oder Zusammenarbeit? Melde dich und lass uns besprechen, wie wir zusammenarbeiten können.',
-                'contact.email': 'E-Mail',
-
-                // Footer
-                'footer.subtitle': 'Europäische Kickbox-Meisterin',
-                'footer.timeline': 'Zeitachse',
-                'footer.budget': 'Budget',
-                'footer.education': 'Ausbildung',
-                'footer.values': 'Werte',
-                'footer.sponsorship': 'Sponsoring',
-                'footer.partners': 'Partner',
-                'footer.contact': 'Kontakt'
-            }
-        },
-        originalTexts: {},
 
-        init() {
-            this.toggle = document.getElementById('langToggle');
-            if (!this.toggle) return;
+                const area = this.dialog.querySelector(`textarea[data-key="${shared}"][data-locale="${locale}"]`);
+                if (shared !== key && area) area.value = value;
+            });
 
-            // Store original English texts
-            this.storeOriginalTexts();
+            LanguageSwitcher.switchLanguage(I18n.locale).then(() => this.updateBar());
+        },
 
-            // Check for saved preference
-            const savedLang = localStorage.getItem('preferredLanguage');
-            if (savedLang === 'de') {
-                this.toggle.checked = true;
-                this.switchLanguage('de');
-            }
+        /**
+         * Keys whose English text is the same content field as a key's
+         * @param {string} key - Message key
+         * @returns {string[]} The key and those sharing its field
+         */
+        sharedKeys(key) {
+            if (!this.fields.has(key)) return [key];
+            const { path } = this.fields.get(key);
+            return [...this.fields.keys()].filter(other => this.fields.get(other).path === path);
+        },
 
-            // Listen for toggle changes
-            this.toggle.addEventListener('change', () => {
-                const newLang = this.toggle.checked ? 'de' : 'en';
-                this.switchLanguage(newLang);
-                localStorage.setItem('preferredLanguage', newLang);
+        updateBar() {
+            const changed = this.changedFiles();
+            this.bar.querySelectorAll('[data-export]').forEach(button => {
+                button.disabled = !changed.includes(button.dataset.export);
             });
         },
 
-        storeOriginalTexts() {
-            document.querySelectorAll('[data-i18n]').forEach(el => {
-                const key = el.dataset.i18n;
-                this.originalTexts[key] = el.textContent;
-            });
+        /**
+         * @returns {string[]} Names of the files whose text has changed
+         */
+        changedFiles() {
+            return Object.keys(this.files).filter(name => this.file(name) !== this.sources[name].text);
         },
 
-        switchLanguage(lang) {
-            this.currentLang = lang;
+        /**
+         * A file with the edits written in, ready to replace the one on disk
+         * @param {string} name - 'content', 'en' or 'de'
+         * @returns {string} File text
+         */
+        file(name) {
+            if (name === 'content') return this.contentFile();
+
+            const messages = { ...this.sources[name].data };
+            Object.entries(this.edits[name]).forEach(([key, value]) => {
+                if (name === I18n.defaultLocale && this.fields.has(key)) return;
+                if (value === '' && name !== I18n.defaultLocale) {
+                    delete messages[key];
+                } else {
+                    messages[key] = value;
+                }
+            });
+            return JSON.stringify(messages, null, 4) + '\n';
+        },
 
-            // Update label styling
-            document.querySelector('.lang-en').classList.toggle('active', lang === 'en');
-            document.querySelector('.lang-de').classList.toggle('active', lang === 'de');
+        /**
+         * The content file with its edited strings replaced in place, so the
+         * rest keeps its hand-made formatting
+         * @returns {string} File text
+         */
+        contentFile() {
+            const { text } = this.sources.content;
+            const positions = this.stringPositions(text);
+
+            // One replacement per string, the last edit winning
+            const values = new Map();
+            Object.entries(this.edits[I18n.defaultLocale])
+                .filter(([key]) => this.fields.has(key))
+                .forEach(([key, value]) => values.set(this.fields.get(key).path, value));
+
+            return [...values].map(([path, value]) => ({ ...positions.get(path), value }))
+                .sort((a, b) => b.start - a.start)
+                .reduce((result, { start, end, value }) => result.slice(0, start) + JSON.stringify(value) + result.slice(end), text);
+        },
 
-            // Keys that contain HTML (like <br> tags)
-            const htmlKeys = ['hero.badge.swiss', 'achievements.cups.preview', 'achievements.swiss.preview'];
+        /**
+         * Where each string value sits in a JSON text
+         * @param {string} text - JSON text
+         * @returns {Map<string, {start: number, end: number}>} Positions by path, e.g. "achievements/1/title"
+         */
+        stringPositions(text) {
+            const positions = new Map();
+            let index = 0;
 
-            // Update all translatable elements
-            document.querySelectorAll('[data-i18n]').forEach(el => {
-                const key = el.dataset.i18n;
-                const useHTML = htmlKeys.includes(key);
-                if (lang === 'de' && this.translations.de[key]) {
-                    if (useHTML) {
-                        el.innerHTML = this.translations.de[key];
-                    } else {
-                        el.textContent = this.translations.de[key];
-                    }
-                } else if (lang === 'en' && this.originalTexts[key]) {
-                    if (useHTML) {
-                        el.innerHTML = this.originalTexts[key];
-                    } else {
-                        el.textContent = this.originalTexts[key];
+            const skipSpace = () => {
+                while (/\s/.test(text[index])) index++;
+            };
+            const string = () => {
+                const start = index++;
+                while (text[index] !== '"') index += text[index] === '\\' ? 2 : 1;
+                index++;
+                return { start, end: index };
+            };
+            const value = path => {
+                skipSpace();
+                const open = text[index];
+                if (open === '"') {
+                    positions.set(path.join('/'), string());
+                } else if (open === '{' || open === '[') {
+                    index++;
+                    for (let item = 0; ; item++) {
+                        skipSpace();
+                        if (text[index] === '}' || text[index] === ']') break;
+                        let key = String(item);
+                        if (open === '{') {
+                            const token = string();
+                            key = JSON.parse(text.slice(token.start, token.end));
+                            skipSpace();
+                            index++;
+                        }
+                        value([...path, key]);
+                        skipSpace();
+                        if (text[index] === ',') index++;
                     }
+                    index++;
+                } else {
+                    while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
                 }
-            });
+            };
 
-            // Update HTML lang attribute
-            document.documentElement.lang = lang;
+            value([]);
+            return positions;
         }
     };
 
@@ -921,24 +5586,77 @@
     // Initialize All Modules
     // ============================================
     function init() {
+        ContentRenderer.render();
+        Analytics.init();
+        AppShell.init();
+        Theme.init();
+        Modal.init();
         Navigation.init();
         ScrollEffects.init();
         Timeline.init();
         AchievementModal.init();
+        FightRecordTable.init();
+        UpcomingEvents.init();
         PartnerModal.init();
-        GalleryCarousel.init();
-        VideoCarousel.init();
+        Budget.init();
+        PackageBuilder.init();
+        ContactForm.init();
+        Dossier.init();
+        Carousel.init();
+        GalleryFilter.init();
+        VideoPlayer.init();
         GalleryLightbox.init();
         KeyboardHandler.init();
-        LanguageSwitcher.init();
+
+        // Deep links open once the page language is known, so views render translated
+        // and sections have their final height
+        return LanguageSwitcher.init().then(() => {
+            Router.init();
+            Navigation.jumpToHash();
+            return ContentEditor.init();
+        });
+    }
+
+    /**
+     * Render and translate the page without wiring up any interaction.
+     * scripts/build.js marks <html data-prerender="de"> to write each language's static page.
+     * @param {string} locale - Locale code
+     * @returns {Promise<void>}
+     */
+    function prerender(locale) {
+        ContentRenderer.render();
+        return LanguageSwitcher.switchLanguage(locale);
     }
 
-    // Run initialization
-    init();
+    /**
+     * Load the content file and the page's catalogues, then start the page
+     * (or only pre-render it when scripts/build.js asks for it, or start the
+     * slide studio on slides.html)
+     * @returns {Promise<void>}
+     */
+    function start() {
+        const prerenderLocale = document.documentElement.dataset.prerender;
+        const locale = prerenderLocale || LanguageSwitcher.initialLocale();
+
+        return Promise.all([Content.load(), I18n.load(locale)])
+            .then(() => {
+                I18n.register(I18n.defaultLocale, Content.messages());
+                if (prerenderLocale) return prerender(prerenderLocale);
+                return document.documentElement.dataset.page === 'slides' ? SlideStudio.init() : init();
+            });
+    }
+
+    // Colours and motion are set before anything renders; pre-rendered pages stay neutral
+    if (!document.documentElement.dataset.prerender) Theme.apply();
+
+    // Returning visitors on the English static page go straight to their saved language
+    const ready = LanguageSwitcher.redirectToSavedPage() ? new Promise(() => {}) : start();
+    ready.catch(error => console.error('Failed to initialise the page:', error));
 
     // ============================================
     // Public API (exposed to global scope)
     // ============================================
-    window.printPortfolio = () => window.print();
+    window.printPortfolio = () => Dossier.print();
+    window.portfolioReady = ready;
 
 })();
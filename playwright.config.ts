@@ -10,6 +10,9 @@ export default defineConfig({
   use: {
     baseURL: 'http://localhost:8000',
     trace: 'on-first-retry',
+    // A service worker would answer requests before page.route sees them;
+    // tests/offline.spec.ts turns it back on
+    serviceWorkers: 'block',
   },
   projects: [
     {
@@ -17,9 +20,23 @@ export default defineConfig({
       use: { ...devices['Desktop Chrome'] },
     },
   ],
-  webServer: {
-    command: 'python3 -m http.server 8000',
-    url: 'http://localhost:8000',
-    reuseExistingServer: !process.env.CI,
-  },
+  webServer: [
+    {
+      command: 'python3 -m http.server 8000',
+      url: 'http://localhost:8000',
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      // Stand-in for the contact form endpoint (tests/contact.spec.ts)
+      command: 'node scripts/contact-stub.js --port 8787',
+      url: 'http://localhost:8787/messages',
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      // Local endpoint for the beacon analytics sink (tests/analytics.spec.ts)
+      command: 'node scripts/analytics-collector.js --port 8788',
+      url: 'http://localhost:8788/stats',
+      reuseExistingServer: !process.env.CI,
+    },
+  ],
 });
@@ -0,0 +1,122 @@
+/**
+ * Eva Tschanz Portfolio - Analytics Collector
+ * A local endpoint for the beacon analytics sink. It keeps no raw events, only
+ * counts per event type and per field value, so what the page sends can be
+ * checked by hand or in tests:
+ *
+ *   POST /events            Count one event, or an array of events
+ *   POST /events?site=<id>  Count them in a separate bucket (one per test)
+ *   GET  /stats[?site=<id>] The counts so far, e.g.
+ *                           { "cta_click": { "total": 2, "cta": { "hero": 2 }, "locale": { "en": 2 } } }
+ *
+ * Set analytics.sinks to ["beacon"] and analytics.endpoint to
+ * http://localhost:8788/events in data/content.json.
+ *
+ * Usage: node scripts/analytics-collector.js [--port <port>]
+ */
+'use strict';
+
+const http = require('http');
+
+const DEFAULT_PORT = 8788;
+
+// Fields that differ for every event and would only bloat the counts
+const UNCOUNTED_FIELDS = ['type', 'time'];
+
+// Counts by bucket, then event type
+const buckets = new Map();
+
+/**
+ * Read the port from the command line
+ * @returns {number} Port
+ */
+function port() {
+    const index = process.argv.indexOf('--port');
+    return index !== -1 ? Number(process.argv[index + 1]) : DEFAULT_PORT;
+}
+
+/**
+ * Send a JSON response the page may read from any origin
+ * @param {http.ServerResponse} response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body. Beacons arrive as text/plain, so the
+ * content type is not checked.
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object|Object[]>} Parsed body
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Add one event to a bucket's counts
+ * @param {Object} counts - Counts by event type
+ * @param {Object} event - Event as sent by the page
+ */
+function count(counts, event) {
+    const entry = counts[event.type] || (counts[event.type] = { total: 0 });
+    entry.total++;
+
+    Object.entries(event)
+        .filter(([field]) => !UNCOUNTED_FIELDS.includes(field))
+        .forEach(([field, value]) => {
+            const values = entry[field] || (entry[field] = {});
+            values[value] = (values[value] || 0) + 1;
+        });
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const site = url.searchParams.get('site') || 'default';
+
+    if (request.method === 'OPTIONS') {
+        send(response, 204, {});
+    } else if (request.method === 'GET' && url.pathname === '/stats') {
+        send(response, 200, buckets.get(site) || {});
+    } else if (request.method === 'POST' && url.pathname === '/events') {
+        readJson(request)
+            .then(body => {
+                const events = [].concat(body);
+                if (!events.every(event => event && typeof event.type === 'string')) {
+                    send(response, 400, { error: 'Every event needs a type' });
+                    return;
+                }
+
+                if (!buckets.has(site)) buckets.set(site, {});
+                events.forEach(event => count(buckets.get(site), event));
+                console.log(`${events.map(event => event.type).join(', ')} (${site})`);
+                send(response, 200, { ok: true });
+            })
+            .catch(() => send(response, 400, { error: 'Expected a JSON body' }));
+    } else {
+        send(response, 404, { error: 'Not found' });
+    }
+});
+
+server.listen(port(), () => {
+    console.log(`Analytics collector listening on http://localhost:${port()}/events`);
+});
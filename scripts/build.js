@@ -0,0 +1,232 @@
+/**
+ * Eva Tschanz Portfolio - Static Build
+ * Pre-renders index.html once per translation catalogue into dist/, so visitors
+ * and crawlers get translated markup before any JavaScript runs:
+ *
+ *   dist/index.html      English (x-default)
+ *   dist/de/index.html   German, and so on for every data/i18n/<locale>.json
+ *   dist/sw.js           The service worker, versioned by what was published
+ *
+ * Usage: node scripts/build.js [--out <dir>]
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_LOCALE = 'en';
+
+// Files and folders published alongside the generated pages
+const STATIC_FILES = ['CNAME', 'css', 'js', 'data', 'images', 'slides.html', 'manifest.webmanifest'];
+
+// Attributes holding site-relative URLs that need rewriting on sub-folder pages
+const URL_ATTRIBUTES = ['src', 'href', 'poster'];
+
+/**
+ * Read the output directory from the command line
+ * @returns {string} Absolute output directory
+ */
+function outputDir() {
+    const index = process.argv.indexOf('--out');
+    return path.resolve(ROOT, index !== -1 ? process.argv[index + 1] : 'dist');
+}
+
+/**
+ * Locales to build, default first, taken from the catalogue files
+ * @returns {string[]} Locale codes
+ */
+function locales() {
+    const codes = fs.readdirSync(path.join(ROOT, 'data/i18n'))
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+
+    return [DEFAULT_LOCALE, ...codes.filter(code => code !== DEFAULT_LOCALE).sort()];
+}
+
+/**
+ * Public URL of the site, from the GitHub Pages CNAME file
+ * @returns {string} Origin with a trailing slash
+ */
+function siteUrl() {
+    const cname = path.join(ROOT, 'CNAME');
+    return fs.existsSync(cname) ? `https://${fs.readFileSync(cname, 'utf8').trim()}/` : '/';
+}
+
+/**
+ * Path of a locale's page relative to the site root
+ * @param {string} locale - Locale code
+ * @returns {string} e.g. "de/"
+ */
+function pagePath(locale) {
+    return locale === DEFAULT_LOCALE ? '' : `${locale}/`;
+}
+
+/**
+ * Minimal fetch for the page scripts, reading site files from disk
+ * @param {Window} window - The jsdom window
+ * @returns {Function} A fetch implementation
+ */
+function fileFetch(window) {
+    return async (url) => {
+        const relative = decodeURIComponent(new URL(url, window.location.href).pathname).replace(/^\//, '');
+        const file = path.join(ROOT, relative);
+
+        if (!fs.existsSync(file)) {
+            return { ok: false, status: 404, json: async () => ({}) };
+        }
+        const body = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(body) };
+    };
+}
+
+/**
+ * Run the page scripts in pre-render mode and return the translated document
+ * @param {string} html - Source index.html
+ * @param {string} locale - Locale code
+ * @returns {Promise<JSDOM>} The rendered DOM
+ */
+async function render(html, locale) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', virtualConsole });
+    const { window } = dom;
+    const { document } = window;
+
+    window.fetch = fileFetch(window);
+    document.documentElement.dataset.prerender = locale;
+
+    document.querySelectorAll('script[src]').forEach(script => {
+        window.eval(fs.readFileSync(path.join(ROOT, script.getAttribute('src')), 'utf8'));
+    });
+
+    await window.portfolioReady;
+    if (errors.length) {
+        throw new Error(`Rendering ${locale} failed:\n${errors.join('\n')}`);
+    }
+
+    delete document.documentElement.dataset.prerender;
+    return dom;
+}
+
+/**
+ * Add the hreflang alternates and canonical link for a page
+ * @param {Document} document - The rendered document
+ * @param {string} locale - The page's locale
+ * @param {string[]} allLocales - Every built locale
+ */
+function addAlternates(document, locale, allLocales) {
+    const base = siteUrl();
+    const links = allLocales.map(code => ({ rel: 'alternate', hreflang: code, href: base + pagePath(code) }));
+    links.push({ rel: 'alternate', hreflang: 'x-default', href: base + pagePath(DEFAULT_LOCALE) });
+    links.push({ rel: 'canonical', href: base + pagePath(locale) });
+
+    links.forEach(attributes => {
+        const link = document.createElement('link');
+        Object.entries(attributes).forEach(([name, value]) => link.setAttribute(name, value));
+        document.head.append(link, '\n');
+    });
+}
+
+/**
+ * Point site-relative URLs at the site root from a sub-folder page
+ * @param {Document} document - The rendered document
+ * @param {string} siteRoot - Path from the page to the site root, e.g. "../"
+ */
+function rewriteUrls(document, siteRoot) {
+    document.documentElement.dataset.siteRoot = siteRoot;
+    if (!siteRoot) return;
+
+    const rewrite = value => (/^([a-z]+:|\/|#)/i.test(value) ? value : siteRoot + value);
+
+    URL_ATTRIBUTES.forEach(attribute => {
+        document.querySelectorAll(`[${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, rewrite(el.getAttribute(attribute)));
+        });
+    });
+
+    // Responsive images list one URL per candidate, e.g. "a-480.jpg 480w, a-960.jpg 960w"
+    document.querySelectorAll('[srcset]').forEach(el => {
+        el.setAttribute('srcset', el.getAttribute('srcset').split(/,\s*/).map(rewrite).join(', '));
+    });
+}
+
+/**
+ * Every file below a directory
+ * @param {string} dir - Absolute directory
+ * @returns {string[]} Paths relative to dir, sorted
+ */
+function listFiles(dir) {
+    return fs.readdirSync(dir, { recursive: true })
+        .filter(file => fs.statSync(path.join(dir, file)).isFile())
+        .sort();
+}
+
+/**
+ * Write the service worker with a version that changes whenever a published
+ * file does, so visitors are offered the new deploy
+ * @param {string} out - Output directory
+ * @param {string[]} allLocales - Every built locale
+ */
+function writeServiceWorker(out, allLocales) {
+    const hash = crypto.createHash('sha1');
+    listFiles(out).forEach(file => {
+        hash.update(file).update(fs.readFileSync(path.join(out, file)));
+    });
+
+    const pages = allLocales.map(locale => `./${pagePath(locale)}`);
+    const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8')
+        .replace(/^const VERSION = .*;$/m, `const VERSION = '${hash.digest('hex').slice(0, 12)}';`)
+        .replace(/^const PAGES = .*;$/m, `const PAGES = [${pages.map(page => `'${page}'`).join(', ')}];`)
+        .replace(/^const LOCALES = .*;$/m, `const LOCALES = [${allLocales.map(locale => `'${locale}'`).join(', ')}];`);
+
+    fs.writeFileSync(path.join(out, 'sw.js'), source);
+    console.log(`Built ${path.relative(ROOT, path.join(out, 'sw.js'))}`);
+}
+
+/**
+ * Copy the static files and write one page per locale
+ * @returns {Promise<void>}
+ */
+async function build() {
+    const out = outputDir();
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const allLocales = locales();
+
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.mkdirSync(out, { recursive: true });
+
+    STATIC_FILES.forEach(file => {
+        const source = path.join(ROOT, file);
+        if (fs.existsSync(source)) {
+            fs.cpSync(source, path.join(out, file), { recursive: true });
+        }
+    });
+
+    for (const locale of allLocales) {
+        const dom = await render(html, locale);
+        const { document } = dom.window;
+
+        addAlternates(document, locale, allLocales);
+        rewriteUrls(document, locale === DEFAULT_LOCALE ? '' : '../');
+
+        const file = path.join(out, pagePath(locale), 'index.html');
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, dom.serialize());
+        dom.window.close();
+
+        console.log(`Built ${path.relative(ROOT, file)}`);
+    }
+
+    writeServiceWorker(out, allLocales);
+}
+
+build().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
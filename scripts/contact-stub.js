@@ -0,0 +1,104 @@
+/**
+ * Eva Tschanz Portfolio - Contact Form Stub
+ * A local stand-in for the contact form endpoint. It accepts the JSON the form
+ * posts, checks the required fields and keeps every message it receives, so the
+ * form can be tried and tested without a real backend:
+ *
+ *   POST /contact            Store a message; 400 if a required field is missing
+ *   POST /contact?status=500 Answer with that status instead, to try the error state
+ *   GET  /messages           Every message received so far, as JSON
+ *
+ * Point profile.contact.endpoint in data/content.json at http://localhost:8787/contact.
+ *
+ * Usage: node scripts/contact-stub.js [--port <port>]
+ */
+'use strict';
+
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const REQUIRED_FIELDS = ['name', 'email', 'type', 'message'];
+
+// Messages received since the stub started, oldest first
+const messages = [];
+
+/**
+ * Read the port from the command line
+ * @returns {number} Port
+ */
+function port() {
+    const index = process.argv.indexOf('--port');
+    return index !== -1 ? Number(process.argv[index + 1]) : DEFAULT_PORT;
+}
+
+/**
+ * Send a JSON response the page may read from any origin
+ * @param {http.ServerResponse} response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+    });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        send(response, 204, {});
+    } else if (request.method === 'GET' && url.pathname === '/messages') {
+        send(response, 200, messages);
+    } else if (request.method === 'POST' && url.pathname === '/contact') {
+        readJson(request)
+            .then(message => {
+                const status = Number(url.searchParams.get('status'));
+                if (status) {
+                    send(response, status, { error: `Stub asked to answer HTTP ${status}` });
+                    return;
+                }
+
+                const missing = REQUIRED_FIELDS.filter(field => !message[field]);
+                if (missing.length) {
+                    send(response, 400, { error: `Missing ${missing.join(', ')}` });
+                    return;
+                }
+
+                messages.push({ ...message, receivedAt: new Date().toISOString() });
+                console.log(`Message from ${message.name} <${message.email}> (${message.type})`);
+                send(response, 200, { ok: true });
+            })
+            .catch(() => send(response, 400, { error: 'Expected a JSON body' }));
+    } else {
+        send(response, 404, { error: 'Not found' });
+    }
+});
+
+server.listen(port(), () => {
+    console.log(`Contact form stub listening on http://localhost:${port()}/contact`);
+});
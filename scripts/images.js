@@ -0,0 +1,259 @@
+/**
+ * Eva Tschanz Portfolio - Image Pipeline
+ * Turns every photo data/content.json shows into responsive variants and
+ * records them in data/images.json, which the gallery, lightbox and timeline
+ * modal read to build srcset lists and reserve space before a photo arrives:
+ *
+ *   images/web/photos spudlake/IMG 1.jpeg
+ *     -> images/responsive/photos-spudlake/img-1-480.avif, -960.webp, -1600.jpg ...
+ *
+ * Variants get lower-case, hyphenated names and lose all metadata, including
+ * EXIF location data; photos are turned upright first. Photos whose file has
+ * not changed since the last run are skipped.
+ *
+ * It also draws the home screen icons listed in manifest.webmanifest from the
+ * Tough Cookie logo.
+ *
+ * Usage: node scripts/images.js [--force]
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT = path.join(ROOT, 'data/content.json');
+const MANIFEST = path.join(ROOT, 'data/images.json');
+const OUTPUT = 'images/responsive';
+
+// Variant widths; photos narrower than the largest stop at their own width
+const WIDTHS = [480, 960, 1600];
+
+// Formats written for every width, best first. Photos with transparency
+// fall back to PNG instead of JPEG.
+const FORMATS = {
+    avif: { quality: 50, effort: 2 },
+    webp: { quality: 75 },
+    jpeg: { quality: 78, mozjpeg: true },
+    png: { compressionLevel: 9 }
+};
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg', png: 'png' };
+
+// Home screen icons: the logo centred on the page background, inside the
+// area Android keeps visible when it crops icons to a circle
+const ICON_SOURCE = 'images/web/tough_cookie_bicep_no_bg.png';
+const ICON_OUTPUT = 'images/icons';
+const ICON_SIZES = [192, 512];
+const ICON_BACKGROUND = '#e7efff';
+const ICON_SAFE_AREA = 0.7;
+
+// Raster images worth resizing; thumbnails are superseded by the small variants
+const SOURCE_PATTERN = /^images\/(?!thumbnails\/|responsive\/|svg\/).+\.(jpe?g|png|webp|gif|heic)$/i;
+
+sharp.concurrency(1);
+
+/**
+ * Every local photo path the content file refers to
+ * @returns {string[]} Site-relative paths, sorted
+ */
+function sourcePaths() {
+    const paths = new Set();
+    const walk = value => {
+        if (typeof value === 'string') {
+            if (SOURCE_PATTERN.test(value)) paths.add(value);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(walk);
+        }
+    };
+
+    walk(JSON.parse(fs.readFileSync(CONTENT, 'utf8')));
+    return [...paths].sort();
+}
+
+/**
+ * Lower-case, hyphenated variant name for a source path, without extension
+ * @param {string} source - e.g. "images/web/photos spudlake/IMG 1.jpeg"
+ * @returns {string} e.g. "photos-spudlake/img-1"
+ */
+function variantName(source) {
+    const relative = source.replace(/^images\/(web\/)?/, '').replace(/\.[^.]+$/, '');
+    return relative.split('/').map(part => part
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+    ).join('/');
+}
+
+/**
+ * Short fingerprint of a file's contents
+ * @param {string} file - Absolute path
+ * @returns {string} Hex digest
+ */
+function fingerprint(file) {
+    return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Read the manifest written by the last run
+ * @returns {Object} Entries keyed by source path
+ */
+function readManifest() {
+    return fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, 'utf8')) : {};
+}
+
+/**
+ * Placeholder colour and BlurHash for a photo
+ * @param {sharp.Sharp} image - The upright source image
+ * @returns {Promise<{color: string, blurhash: string}>}
+ */
+async function placeholder(image) {
+    const { dominant } = await image.clone().stats();
+    const color = '#' + [dominant.r, dominant.g, dominant.b].map(c => c.toString(16).padStart(2, '0')).join('');
+
+    const { data, info } = await image.clone()
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return { color, blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3) };
+}
+
+/**
+ * Write every variant of one photo and describe it for the manifest
+ * @param {string} source - Site-relative source path
+ * @param {string} hash - Fingerprint of the source file
+ * @returns {Promise<Object>} Manifest entry
+ */
+async function processImage(source, hash) {
+    const { data, info } = await sharp(path.join(ROOT, source)).rotate().raw().toBuffer({ resolveWithObject: true });
+    const decoded = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+
+    // Screenshots often carry an alpha channel without using it
+    const { isOpaque } = await decoded.clone().stats();
+    const base = isOpaque ? decoded.clone().removeAlpha() : decoded;
+    const fallback = isOpaque ? 'jpeg' : 'png';
+
+    const widths = WIDTHS.filter(width => width < info.width);
+    const largest = Math.min(info.width, WIDTHS[WIDTHS.length - 1]);
+    if (!widths.includes(largest)) widths.push(largest);
+
+    const name = variantName(source);
+    fs.mkdirSync(path.join(ROOT, OUTPUT, path.dirname(name)), { recursive: true });
+
+    const sources = {};
+    for (const format of ['avif', 'webp', fallback]) {
+        sources[format] = [];
+        for (const width of widths) {
+            const file = `${OUTPUT}/${name}-${width}.${EXTENSIONS[format]}`;
+            await base.clone()
+                .resize({ width })
+                .toFormat(format, FORMATS[format])
+                .toFile(path.join(ROOT, file));
+            sources[format].push({ width, src: file });
+        }
+    }
+
+    return {
+        hash,
+        width: info.width,
+        height: info.height,
+        ...(await placeholder(base)),
+        sources
+    };
+}
+
+/**
+ * Remove variant files no manifest entry points at any more
+ * @param {Object} manifest - The new manifest
+ */
+function removeStale(manifest) {
+    const dir = path.join(ROOT, OUTPUT);
+    if (!fs.existsSync(dir)) return;
+
+    const keep = new Set();
+    Object.values(manifest).forEach(entry => Object.values(entry.sources)
+        .forEach(variants => variants.forEach(variant => keep.add(variant.src))));
+
+    fs.readdirSync(dir, { recursive: true }).forEach(file => {
+        const relative = `${OUTPUT}/${file.split(path.sep).join('/')}`;
+        const absolute = path.join(dir, file);
+        if (fs.statSync(absolute).isFile() && !keep.has(relative)) {
+            fs.rmSync(absolute);
+            console.log(`Removed ${relative}`);
+        }
+    });
+}
+
+/**
+ * Draw the home screen icons
+ * @returns {Promise<void>}
+ */
+async function writeIcons() {
+    fs.mkdirSync(path.join(ROOT, ICON_OUTPUT), { recursive: true });
+
+    for (const size of ICON_SIZES) {
+        const logoSize = Math.round(size * ICON_SAFE_AREA);
+        const logo = await sharp(path.join(ROOT, ICON_SOURCE))
+            .trim()
+            .resize(logoSize, logoSize, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .toBuffer();
+
+        const file = `${ICON_OUTPUT}/icon-${size}.png`;
+        await sharp({ create: { width: size, height: size, channels: 3, background: ICON_BACKGROUND } })
+            .composite([{ input: logo, gravity: 'centre' }])
+            .png({ compressionLevel: 9 })
+            .toFile(path.join(ROOT, file));
+        console.log(`Wrote ${file}`);
+    }
+}
+
+/**
+ * Process the photos the content needs and write the manifest
+ * @returns {Promise<void>}
+ */
+async function run() {
+    const force = process.argv.includes('--force');
+    const previous = readManifest();
+    const manifest = {};
+    const names = new Map();
+
+    for (const source of sourcePaths()) {
+        const file = path.join(ROOT, source);
+        if (!fs.existsSync(file)) {
+            console.warn(`Missing ${source}, referenced in data/content.json`);
+            continue;
+        }
+
+        const name = variantName(source);
+        if (names.has(name)) {
+            throw new Error(`${source} and ${names.get(name)} would both be written as ${name}; rename one of them`);
+        }
+        names.set(name, source);
+
+        const hash = fingerprint(file);
+        if (!force && previous[source] && previous[source].hash === hash) {
+            manifest[source] = previous[source];
+            continue;
+        }
+
+        console.log(`Processing ${source}`);
+        manifest[source] = await processImage(source, hash);
+    }
+
+    removeStale(manifest);
+    fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${path.relative(ROOT, MANIFEST)} (${Object.keys(manifest).length} images)`);
+
+    await writeIcons();
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,173 @@
+/**
+ * Eva Tschanz Portfolio - Service Worker
+ * Keeps the page usable at competition venues with poor reception:
+ *
+ *   - the shell (pages, styles, script, content and timeline) is stored on
+ *     install and served from the cache, refreshed in the background;
+ *   - photos and icons are stored the first time they are shown, up to
+ *     MAX_IMAGE_BYTES in all, dropping the oldest first.
+ *
+ * Other requests go to the network and are not stored.
+ *
+ * scripts/build.js replaces VERSION with a hash of the published files, so
+ * every deploy installs a new worker with fresh caches. It waits until the
+ * page asks it to take over (see AppShell in js/main.js), which then reloads
+ * with the new files.
+ */
+'use strict';
+
+const VERSION = 'development';
+
+// Language pages, listed by scripts/build.js
+const PAGES = ['./'];
+
+// Catalogues, listed by scripts/build.js. All of them are stored, so a
+// visitor who picked another language has it the first time they are offline.
+const LOCALES = ['en', 'de', 'fr', 'it'];
+
+const SHELL = [
+    ...PAGES,
+    'css/styles.css',
+    'js/main.js',
+    'images/svg/timeline.svg',
+    'data/content.json',
+    'data/images.json',
+    ...LOCALES.map(locale => `data/i18n/${locale}.json`),
+    'manifest.webmanifest'
+];
+
+// Shell paths as requested, e.g. "/de/" or "/data/i18n/de.json"
+const SHELL_PATHS = new Set(SHELL.map(file => new URL(file, self.location).pathname));
+
+const SHELL_CACHE = `shell-${VERSION}`;
+const IMAGE_CACHE = `images-${VERSION}`;
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+// Stored photos carry their size, so trimming need not read them back
+const SIZE_HEADER = 'X-Cached-Size';
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== SHELL_CACHE && key !== IMAGE_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // Clips are streamed in ranges, which the Cache API cannot store
+    if (request.destination === 'video' || request.headers.has('range')) return;
+    // The content editor (?edit) reads the files as they are on disk
+    if (request.cache === 'no-store') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(page(event));
+    } else if (request.destination === 'image') {
+        event.respondWith(image(request));
+    } else if (SHELL_PATHS.has(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Answer from the shell cache and refresh the entry from the network.
+ * Without a cached copy, wait for the network.
+ * @param {FetchEvent} event
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const update = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+/**
+ * A page, ignoring its hash and query. Pages outside the shell are not
+ * stored and fall back to the home page while offline.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function page(event) {
+    try {
+        if (SHELL_PATHS.has(new URL(event.request.url).pathname)) {
+            return await staleWhileRevalidate(event, event.request);
+        }
+        return await fetch(event.request);
+    } catch (error) {
+        const home = await caches.match(PAGES[0], { cacheName: SHELL_CACHE });
+        if (home) return home;
+        throw error;
+    }
+}
+
+/**
+ * An image, from the cache once it has been shown
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function image(request) {
+    // Looks in every cache, the shell included
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const cache = await caches.open(IMAGE_CACHE);
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, await sized(response.clone()));
+        await trim(cache);
+    }
+    return response;
+}
+
+/**
+ * A copy of a response with its body size in SIZE_HEADER
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function sized(response) {
+    const body = await response.blob();
+    const headers = new Headers(response.headers);
+    headers.set(SIZE_HEADER, String(body.size));
+    return new Response(body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Drop the oldest photos until the rest fit in MAX_IMAGE_BYTES. Cache keys
+ * keep insertion order.
+ * @param {Cache} cache
+ * @returns {Promise<void>}
+ */
+async function trim(cache) {
+    const keys = await cache.keys();
+    const sizes = await Promise.all(keys.map(key => cache.match(key)
+        .then(response => Number(response && response.headers.get(SIZE_HEADER)) || 0)));
+
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    const stale = [];
+    for (let i = 0; i < keys.length && total > MAX_IMAGE_BYTES; i++) {
+        stale.push(keys[i]);
+        total -= sizes[i];
+    }
+    await Promise.all(stale.map(key => cache.delete(key)));
+}
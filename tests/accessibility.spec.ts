@@ -0,0 +1,93 @@
+import { test, expect, Page } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+
+// The brand palette (blue-grey accent on pale blue, medal colours) is below AA
+// contrast by design; the high contrast theme is the answer for visitors who
+// need it, so contrast is left out and every other WCAG 2.1 A/AA rule applies.
+const axe = (page: Page) => new AxeBuilder({ page })
+  .withTags(['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'])
+  .disableRules(['color-contrast']);
+
+test.describe('Accessibility', () => {
+  test('should have no WCAG violations on the page', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    const { violations } = await axe(page).analyze();
+    expect(violations).toEqual([]);
+  });
+
+  test('should have no WCAG violations in the open dialogs', async ({ page }) => {
+    for (const [hash, dialog] of [['#achievements/euro', '#achievementModal'], ['#journey/euro', '#timelinePointModal'], ['#partners/edubily', '#partnerModal'], ['#gallery/1', '#galleryLightbox']]) {
+      await page.goto(`/${hash}`);
+      await expect(page.locator(dialog)).toBeVisible();
+
+      const { violations } = await axe(page).include(dialog).analyze();
+      expect(violations, hash).toEqual([]);
+    }
+  });
+
+  test('should skip to the content from the first Tab stop', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await page.keyboard.press('Tab');
+    const skip = page.locator('.skip-link');
+    await expect(skip).toBeFocused();
+    await expect(skip).toBeInViewport();
+
+    await page.keyboard.press('Enter');
+    await expect(page.locator('main')).toBeFocused();
+    await page.keyboard.press('Tab');
+    expect(await page.locator('main').evaluate(el => el.contains(document.activeElement))).toBe(true);
+  });
+
+  test('should open cards, milestones and photos from the keyboard', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    const controls = [
+      { control: page.locator('.achievement-card[data-achievement="euro"] .card-expand'), name: /read more.*European Championships 2025/, dialog: '#achievementModal', key: 'Enter' },
+      { control: page.locator('.timeline-point-group[data-point="euro"]'), name: 'European Champion 2025', dialog: '#timelinePointModal', key: ' ' },
+      { control: page.locator('.partner-card[data-partner="edubily"]'), name: 'Edubily', dialog: '#partnerModal', key: 'Enter' },
+      { control: page.locator('.gallery-open').first(), name: /\S/, dialog: '#galleryLightbox', key: ' ' }
+    ];
+
+    for (const { control, name, dialog, key } of controls) {
+      await expect(control).toHaveRole('button');
+      await expect(control).toHaveAccessibleName(name);
+
+      await control.focus();
+      await page.keyboard.press(key);
+      await expect(page.locator(dialog)).toBeVisible();
+
+      await page.keyboard.press('Escape');
+      await expect(page.locator(dialog)).toBeHidden();
+      await expect(control).toBeFocused();
+    }
+  });
+
+  test('should open milestones from the vertical timeline on small screens', async ({ page }) => {
+    await page.setViewportSize({ width: 375, height: 812 });
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    const item = page.locator('.timeline-vertical-item[data-point="euro"]');
+    await expect(item).toHaveAccessibleName('European Champion 2025');
+    await item.focus();
+    await page.keyboard.press('Enter');
+    await expect(page.locator('#timelinePointModalTitle')).toHaveText('European Champion');
+  });
+
+  test('should announce a language change', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    const status = page.locator('#languageStatus');
+    await expect(status).toHaveAttribute('aria-live', 'polite');
+    await expect(status).toHaveText('');
+
+    await page.locator('#langPicker [data-locale="de"]').click();
+    await expect(status).toHaveText('Sprache auf Deutsch umgestellt');
+  });
+});
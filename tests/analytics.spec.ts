@@ -0,0 +1,74 @@
+import { test, expect, Page } from '@playwright/test';
+
+// Served by scripts/analytics-collector.js (see playwright.config.ts)
+const COLLECTOR = 'http://localhost:8788';
+
+// Turn the beacon sink on; each test counts in its own bucket of the collector
+const useCollector = async (page: Page, site: string) => {
+  await page.route('**/data/content.json', async route => {
+    const response = await route.fetch();
+    const content = await response.json();
+    content.analytics = { sinks: ['beacon'], endpoint: `${COLLECTOR}/events?site=${site}` };
+    await route.fulfill({ response, json: content });
+  });
+};
+
+const stats = (page: Page, site: string) => page.request.get(`${COLLECTOR}/stats?site=${site}`).then(response => response.json());
+
+test.describe('Analytics', () => {
+  test('should stay silent while no sink is configured', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('#consentBanner')).toBeHidden();
+    await expect(page.locator('[data-consent-settings]')).toBeHidden();
+  });
+
+  test('should send events queued before consent once it is given', async ({ page }, testInfo) => {
+    const site = `consent-${testInfo.workerIndex}-${Date.now()}`;
+    await useCollector(page, site);
+    await page.goto('/#achievements/euro');
+    await expect(page.locator('#achievementModal')).toBeVisible();
+    await page.keyboard.press('Escape');
+
+    await expect(page.locator('#consentBanner')).toBeVisible();
+    await page.locator('.hero-cta').click();
+    expect(await stats(page, site)).toEqual({});
+
+    await page.locator('[data-consent="granted"]').click();
+    await expect(page.locator('#consentBanner')).toBeHidden();
+
+    await expect.poll(() => stats(page, site)).toMatchObject({
+      modal_open: { total: 1, view: { achievements: 1 }, id: { euro: 1 } },
+      cta_click: { total: 1, cta: { hero: 1 }, locale: { en: 1 } },
+      section_view: { total: expect.any(Number) }
+    });
+
+    await page.locator('#langPicker [data-locale="fr"]').click();
+    await page.locator('.contact-link[href*="instagram"]').evaluate((link: HTMLElement) => link.click());
+    await expect.poll(() => stats(page, site)).toMatchObject({
+      language_switch: { total: 1, from: { en: 1 }, to: { fr: 1 } },
+      contact_click: { total: 1, channel: { instagram: 1 }, locale: { fr: 1 } }
+    });
+  });
+
+  test('should drop events when the visitor declines and remember the choice', async ({ page }, testInfo) => {
+    const site = `declined-${testInfo.workerIndex}-${Date.now()}`;
+    await useCollector(page, site);
+    await page.goto('/');
+
+    await page.locator('.nav-cta').click();
+    await page.locator('[data-consent="denied"]').click();
+    await page.locator('.hero-cta').click();
+
+    await page.reload();
+    await page.evaluate(() => (window as any).portfolioReady);
+    await expect(page.locator('#consentBanner')).toBeHidden();
+    await page.locator('.hero-cta').click();
+    expect(await stats(page, site)).toEqual({});
+
+    // The footer link brings the choice back
+    await page.locator('[data-consent-settings]').click();
+    await expect(page.locator('#consentBanner')).toBeVisible();
+  });
+});
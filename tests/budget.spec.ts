@@ -0,0 +1,40 @@
+import { test, expect } from '@playwright/test';
+import content from '../data/content.json';
+
+test.describe('Budget', () => {
+  test('should format amounts for the page language', async ({ page }) => {
+    await page.goto('/#budget');
+
+    await expect(page.locator('#budgetTotalAmount')).toHaveText('CHF 8,700');
+    await page.locator('#langPicker [data-locale="de"]').click();
+    await expect(page.locator('#budgetTotalAmount')).toHaveText('CHF 8’700');
+  });
+
+  test('should convert every amount with the bundled rates and remember the currency', async ({ page }) => {
+    await page.goto('/#budget');
+
+    await page.locator('[data-currency="EUR"]').click();
+    await expect(page.locator('[data-currency="EUR"]')).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('#budgetTotalAmount')).toHaveText('EUR 9,309');
+    await expect(page.locator('.budget-chart-total')).toHaveText('EUR 9,309');
+    await expect(page.locator('#budgetRates')).toBeVisible();
+
+    await page.reload();
+    await expect(page.locator('#budgetTotalAmount')).toHaveText('EUR 9,309');
+  });
+
+  test('should highlight the budget line of a chart segment', async ({ page }) => {
+    await page.goto('/#budget');
+
+    await expect(page.locator('.budget-segment')).toHaveCount(content.budget.lines.length);
+    // The middle of a segment's box is the hole of the donut, so point at the segment itself
+    await page.locator('.budget-segment[data-budget-line="competition"]').dispatchEvent('pointerover');
+
+    await expect(page.locator('.budget-item[data-budget-line="competition"]')).toHaveClass(/highlighted/);
+    await expect(page.locator('.budget-item[data-budget-line="training"]')).not.toHaveClass(/highlighted/);
+
+    // Segments are named by their line's label, amount and share
+    await page.locator('.budget-segment[data-budget-line="training"]').focus();
+    await expect(page.locator('.budget-segment[data-budget-line="training"]')).toHaveAccessibleName('Training & Coaching CHF 2,800 32%');
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import de from '../data/i18n/de.json';
+import fr from '../data/i18n/fr.json';
+import content from '../data/content.json';
+
+const out = path.join(os.tmpdir(), 'kickboxing-profile-dist');
+
+test.describe('Language Pages Build', () => {
+  test.beforeAll(() => {
+    execFileSync('node', ['scripts/build.js', '--out', out]);
+  });
+
+  test('should write a translated page per locale', () => {
+    const html = fs.readFileSync(path.join(out, 'de/index.html'), 'utf8');
+
+    expect(html).toContain('<html lang="de" data-site-root="../">');
+    expect(html).toContain(`data-i18n="hero.cta">${de['hero.cta']}<`);
+    expect(html).toContain('<link rel="alternate" hreflang="fr" href="https://toughcookie.ch/fr/">');
+    expect(html).toContain('<link rel="alternate" hreflang="x-default" href="https://toughcookie.ch/">');
+    expect(html).toContain('<link rel="stylesheet" href="../css/styles.css">');
+    expect(html).toContain('class="achievement-card');
+
+    expect(fs.existsSync(path.join(out, 'index.html'))).toBe(true);
+    expect(fs.existsSync(path.join(out, 'data/content.json'))).toBe(true);
+  });
+
+  test('should version the service worker by the published files', () => {
+    const worker = fs.readFileSync(path.join(out, 'sw.js'), 'utf8');
+
+    expect(worker).toMatch(/^const VERSION = '[0-9a-f]{12}';$/m);
+    expect(worker).toContain("const PAGES = ['./', './de/', './fr/', './it/'];");
+    expect(worker).toContain("const LOCALES = ['en', 'de', 'fr', 'it'];");
+    expect(fs.existsSync(path.join(out, 'manifest.webmanifest'))).toBe(true);
+  });
+
+  test('should not render the pre-rendered lists a second time', async ({ page }) => {
+    await page.route('**/de/', route => route.fulfill({ path: path.join(out, 'de', 'index.html') }));
+
+    await page.goto('/de/');
+    await page.evaluate(() => (window as any).portfolioReady);
+    await expect(page.locator('.budget-item')).toHaveCount(content.budget.lines.length);
+    await expect(page.locator('.achievement-card')).toHaveCount(content.achievements.length);
+  });
+
+  test('should move between the static pages from the picker', async ({ page }) => {
+    for (const locale of ['de', 'fr']) {
+      await page.route(`**/${locale}/`, route => route.fulfill({ path: path.join(out, locale, 'index.html') }));
+    }
+
+    await page.goto('/de/');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'de');
+    await expect(page.locator('.hero-cta')).toHaveText(de['hero.cta']);
+    await expect.poll(() => page.locator('.partner-card img').first().evaluate((img: HTMLImageElement) => img.naturalWidth)).toBeGreaterThan(0);
+
+    await page.locator('#langPicker [data-locale="fr"]').click();
+    await expect(page).toHaveURL(/\/fr\/$/);
+    await expect(page.locator('.hero-cta')).toHaveText(fr['hero.cta']);
+  });
+
+  test('should move between the static pages when storage is unavailable', async ({ page }) => {
+    // The page routed last wins, so the French page goes after the English one
+    await page.route(/\/$/, route => route.fulfill({ path: path.join(out, 'index.html') }));
+    await page.route('**/fr/', route => route.fulfill({ path: path.join(out, 'fr', 'index.html') }));
+    await page.addInitScript(() => {
+      const unavailable = () => { throw new DOMException('Storage is disabled', 'SecurityError'); };
+      Storage.prototype.getItem = unavailable;
+      Storage.prototype.setItem = unavailable;
+    });
+
+    await page.goto('/');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    await expect(page.locator('#langPicker .lang-option')).toHaveCount(4);
+
+    await page.locator('#langPicker [data-locale="fr"]').click();
+    await expect(page).toHaveURL(/\/fr\/$/);
+    await expect(page.locator('.hero-cta')).toHaveText(fr['hero.cta']);
+  });
+});
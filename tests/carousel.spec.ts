@@ -0,0 +1,69 @@
+import { test, expect, Page } from '@playwright/test';
+import content from '../data/content.json';
+
+const scrollLeft = (page: Page, track: string) =>
+  page.locator(track).evaluate((el: HTMLElement) => el.scrollLeft);
+
+test.describe('Carousel', () => {
+  test('should step through the gallery and disable the controls at the ends', async ({ page }) => {
+    await page.goto('/#gallery');
+
+    await expect(page.locator('#galleryCarousel')).toHaveAttribute('aria-roledescription', 'carousel');
+    await expect(page.locator('#galleryPrev')).toBeDisabled();
+    await expect(page.locator('.gallery-item').nth(2)).toHaveAttribute('aria-label', `3 of ${content.gallery.photos.length}`);
+
+    await page.locator('#galleryNext').click();
+    await expect.poll(() => scrollLeft(page, '#galleryTrack')).toBeGreaterThan(0);
+    await expect(page.locator('#galleryPrev')).toBeEnabled();
+
+    await page.locator('#galleryTrack').focus();
+    await page.keyboard.press('End');
+    await expect(page.locator('#galleryNext')).toBeDisabled();
+    await expect(page.locator('#galleryCarousel .carousel-count')).toHaveText(/^(\d+) \/ \1$/);
+
+    await page.keyboard.press('Home');
+    await expect(page.locator('#galleryPrev')).toBeDisabled();
+  });
+
+  test('should page through the achievements with dots on small screens', async ({ page }) => {
+    await page.setViewportSize({ width: 390, height: 844 });
+    await page.goto('/#achievements');
+
+    const dots = page.locator('#achievements .carousel-dot');
+    await expect(dots).toHaveCount(content.achievements.length);
+    await expect(dots.first()).toHaveAttribute('aria-current', 'true');
+    await expect(dots.nth(1)).toHaveAttribute('aria-label', `Page 2 of ${content.achievements.length}`);
+
+    await dots.nth(2).click();
+    await expect(dots.nth(2)).toHaveAttribute('aria-current', 'true');
+    await expect(page.locator('#achievementsNext')).toBeEnabled();
+
+    await page.locator('#langPicker [data-locale="de"]').click();
+    await expect(page.locator('#achievementsNext')).toHaveAttribute('aria-label', 'Weiter');
+    await expect(page.locator('.achievement-card').first()).toHaveAttribute('aria-label', `1 von ${content.achievements.length}`);
+  });
+
+  test('should only play on its own when motion is welcome', async ({ page }) => {
+    // Turn autoplay on for the achievements
+    await page.route('**/', async route => {
+      const response = await route.fetch();
+      const html = (await response.text()).replace('class="achievements-slider reveal" data-carousel', '$& data-autoplay="1000"');
+      await route.fulfill({ response, body: html });
+    });
+    await page.setViewportSize({ width: 390, height: 844 });
+
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    await page.goto('/#achievements');
+    await expect(page.locator('.carousel-autoplay')).toBeHidden();
+    await page.waitForTimeout(1500);
+    expect(await scrollLeft(page, '#achievementsCarousel')).toBe(0);
+
+    await page.emulateMedia({ reducedMotion: 'no-preference' });
+    await expect(page.locator('.carousel-autoplay')).toHaveAttribute('aria-label', 'Pause');
+    await expect.poll(() => scrollLeft(page, '#achievementsCarousel'), { timeout: 5000 }).toBeGreaterThan(0);
+
+    await page.locator('.carousel-autoplay').click();
+    await expect(page.locator('.carousel-autoplay')).toHaveAttribute('aria-pressed', 'false');
+    await expect(page.locator('#achievementsCarousel')).toHaveAttribute('aria-live', 'polite');
+  });
+});
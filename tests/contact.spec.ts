@@ -0,0 +1,88 @@
+import { test, expect, Page } from '@playwright/test';
+
+// Served by scripts/contact-stub.js (see playwright.config.ts)
+const STUB = 'http://localhost:8787';
+
+// Point the form at the stub; the content file ships without an endpoint
+const useStub = async (page: Page, endpoint = `${STUB}/contact`) => {
+  await page.route('**/data/content.json', async route => {
+    const response = await route.fetch();
+    const content = await response.json();
+    content.profile.contact.endpoint = endpoint;
+    await route.fulfill({ response, json: content });
+  });
+};
+
+const fillForm = async (page: Page, email: string) => {
+  await page.locator('#contactName').fill('Alex Muster');
+  await page.locator('#contactCompany').fill('Muster AG');
+  await page.locator('#contactEmail').fill(email);
+  await page.locator('#contactType').selectOption('sponsorship');
+  await page.locator('#contactMessage').fill('We would like to support the 2026 season.');
+};
+
+test.describe('Contact Form', () => {
+  test('should show translated errors for invalid fields', async ({ page }) => {
+    await page.goto('/#contact');
+
+    await page.locator('#contactEmail').fill('alex@');
+    await page.locator('#contactMessage').fill('Too short');
+    await page.locator('.form-submit').click();
+
+    await expect(page.locator('#contactName')).toBeFocused();
+    await expect(page.locator('#contactName')).toHaveAttribute('aria-invalid', 'true');
+    await expect(page.locator('#contactNameError')).toHaveText('Please fill in this field.');
+    await expect(page.locator('#contactEmailError')).toHaveText('Please enter a valid email address.');
+    await expect(page.locator('#contactMessageError')).toHaveText('Please write at least 20 characters.');
+    await expect(page.locator('#contactCompany')).not.toHaveAttribute('aria-invalid', 'true');
+
+    await page.locator('#langPicker [data-locale="de"]').click();
+    await expect(page.locator('#contactNameError')).toHaveText('Bitte fülle dieses Feld aus.');
+
+    await page.locator('#contactName').fill('Alex');
+    await expect(page.locator('#contactNameError')).toBeHidden();
+  });
+
+  test('should post the message to the endpoint and confirm it in place', async ({ page, request }) => {
+    const email = `sponsor-${Date.now()}@example.com`;
+    await useStub(page);
+    await page.goto('/#contact');
+
+    await fillForm(page, email);
+    await page.locator('.form-submit').click();
+
+    await expect(page.locator('#contactForm')).toHaveAttribute('data-state', 'success');
+    await expect(page.locator('#contactFormStatus')).toContainText('Your message has been sent');
+    await expect(page.locator('#contactName')).toHaveValue('');
+
+    const messages = await (await request.get(`${STUB}/messages`)).json();
+    expect(messages.find((message: { email: string }) => message.email === email)).toMatchObject({
+      name: 'Alex Muster',
+      company: 'Muster AG',
+      type: 'sponsorship',
+      locale: 'en'
+    });
+  });
+
+  test('should offer email when the endpoint fails and ignore bots', async ({ page, request }) => {
+    await useStub(page, `${STUB}/contact?status=500`);
+    await page.goto('/#contact');
+
+    await fillForm(page, 'alex@example.com');
+    await page.locator('.form-submit').click();
+
+    await expect(page.locator('#contactForm')).toHaveAttribute('data-state', 'error');
+    await expect(page.locator('.form-fallback')).toHaveAttribute('href', /^mailto:.*subject=Sponsorship%20inquiry%20from%20Alex%20Muster/);
+    await expect(page.locator('.form-submit')).toBeEnabled();
+
+    // A filled-in honeypot looks like a success but sends nothing
+    const email = `bot-${Date.now()}@example.com`;
+    await fillForm(page, email);
+    await page.locator('#contactWebsite').fill('https://spam.example');
+    await page.locator('.form-submit').click();
+
+    await expect(page.locator('#contactForm')).toHaveAttribute('data-state', 'success');
+    const messages = await (await request.get(`${STUB}/messages`)).json();
+    expect(messages.some((message: { email: string }) => message.email === email)).toBe(false);
+  });
+});
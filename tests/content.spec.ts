@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import content from '../data/content.json';
+
+test.describe('Content Data', () => {
+  test('should render one achievement card per achievement', async ({ page }) => {
+    await page.goto('/');
+
+    const cards = page.locator('.achievement-card');
+    await expect(cards).toHaveCount(content.achievements.length);
+
+    // Result lines are generated from the fight log
+    await expect(page.locator('.achievement-card[data-achievement="euro"] .card-result')).toHaveText('3 Fights, 3 Wins – Gold Medal');
+    await expect(page.locator('.achievement-card[data-achievement="cups"] .card-result')).toHaveText('8 Fights, 6 Wins, 2 Losses – Gold Medal');
+  });
+
+  test('should render every milestone in both the SVG and the vertical timeline', async ({ page }) => {
+    await page.goto('/');
+
+    for (const point of content.timeline.points) {
+      await expect(page.locator(`.timeline-point-group[data-point="${point.id}"]`)).toBeAttached();
+      await expect(page.locator(`.timeline-vertical-item[data-point="${point.id}"]`)).toBeAttached();
+    }
+  });
+
+  test('should open the achievement modal from the data model', async ({ page }) => {
+    await page.goto('/');
+
+    const euro = content.achievements.find(item => item.id === 'euro')!;
+    await page.locator('.achievement-card[data-achievement="euro"]').click();
+
+    await expect(page.locator('#achievementModal')).toHaveClass(/active/);
+    await expect(page.locator('#modalTitle')).toHaveText(euro.title);
+    await expect(page.locator('#modalLocation')).toHaveText(euro.location);
+  });
+
+  test('should compute the budget total from the budget lines', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('.budget-item')).toHaveCount(content.budget.lines.length);
+    await expect(page.locator('#budgetTotalAmount')).toHaveText('CHF 8,700');
+  });
+});
@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+import content from '../data/content.json';
+
+test.describe('Sponsor Dossier', () => {
+  test('should print the dossier instead of the page', async ({ page }) => {
+    await page.goto('/');
+    await expect(page.locator('#dossier')).toBeHidden();
+
+    await page.emulateMedia({ media: 'print' });
+    await expect(page.locator('#dossier')).toBeVisible();
+    await expect(page.locator('#hero')).toBeHidden();
+    await expect(page.locator('#navbar')).toBeHidden();
+
+    await expect(page.locator('#dossierFacts > div')).toHaveCount(content.profile.facts.length);
+    await expect(page.locator('#dossierAchievements li')).toHaveCount(content.achievements.length);
+    await expect(page.locator('#dossierBudget tr')).toHaveCount(content.budget.lines.length);
+    await expect(page.locator('#dossierBudgetTotal')).toHaveText('CHF 8,700');
+    await expect(page.locator('#dossierPartners li')).toHaveCount(content.partners.length);
+    await expect(page.locator('#dossierContact')).toContainText(content.profile.contact.email);
+  });
+
+  test('should follow the page language and currency', async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#langPicker [data-locale="de"]').click();
+    await page.locator('#budgetCurrencies [data-currency="EUR"]').click();
+
+    await page.emulateMedia({ media: 'print' });
+    await expect(page.locator('.dossier-kicker')).toHaveText('Sponsoring-Dossier');
+    await expect(page.locator('#dossierFacts')).toContainText('Alter');
+    await expect(page.locator('#dossierBudgetTotal')).toHaveText(/^EUR /);
+  });
+
+  test('should date the dossier and open the print dialog', async ({ page }) => {
+    await page.addInitScript(() => {
+      window.print = () => { (window as any).printCalls = ((window as any).printCalls || 0) + 1; };
+    });
+    await page.clock.setFixedTime(new Date('2026-10-19T10:00:00Z'));
+    await page.goto('/#budget');
+
+    await page.locator('[data-print-dossier]').click();
+
+    await expect.poll(() => page.evaluate(() => (window as any).printCalls)).toBe(1);
+    await expect(page.locator('#dossierDate')).toHaveText('October 19, 2026');
+    await expect(page.locator('#dossierDate')).toHaveAttribute('datetime', '2026-10-19');
+  });
+});
@@ -0,0 +1,95 @@
+import { test, expect, Page } from '@playwright/test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+const read = (file: string) => readFileSync(join(__dirname, '..', 'data', file), 'utf8');
+
+const field = (page: Page, key: string, locale: string) =>
+  page.locator(`#contentEditor textarea[data-key="${key}"][data-locale="${locale}"]`);
+
+// Save a file from the edit bar and return its text
+const exported = async (page: Page, name: string) => {
+  const [download] = await Promise.all([
+    page.waitForEvent('download'),
+    page.locator(`#contentEditorBar [data-export="${name}"]`).click()
+  ]);
+  return readFileSync((await download.path())!, 'utf8');
+};
+
+test.describe('Content Editor', () => {
+  test('should stay off without ?edit', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('#contentEditorBar')).toHaveCount(0);
+    await page.locator('.achievement-card[data-achievement="euro"]').click();
+    await expect(page.locator('#achievementModal')).toBeVisible();
+  });
+
+  test('should edit an achievement in English and German with a live preview', async ({ page }) => {
+    await page.goto('/?edit');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    const title = page.locator('.achievement-card[data-achievement="euro"] .card-title');
+    await title.click();
+    await expect(page.locator('#contentEditor')).toBeVisible();
+    await expect(page.locator('#achievementModal')).toBeHidden();
+    await expect(field(page, 'achievements.euro.category', 'en')).toBeFocused();
+    await expect(field(page, 'achievements.euro.category', 'de')).toHaveValue('Europameisterschaft');
+
+    await field(page, 'achievements.euro.category', 'en').fill('European Champion');
+    await expect(title).toHaveText('European Champion');
+
+    await field(page, 'achievements.euro.category', 'de').fill('Europameisterin');
+    await page.locator('#contentEditor [data-preview="de"]').click();
+    await expect(title).toHaveText('Europameisterin');
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#contentEditor')).toBeHidden();
+
+    // Milestones open all of their texts
+    await page.locator('.timeline-point-group[data-point="euro"] .timeline-point-hitarea').click();
+    await expect(field(page, 'timeline.point.euro.description', 'en')).toBeVisible();
+  });
+
+  test('should export the edited files without reformatting them', async ({ page }) => {
+    await page.goto('/?edit');
+    await page.evaluate(() => (window as any).portfolioReady);
+    await expect(page.locator('#contentEditorBar [data-export="content"]')).toBeDisabled();
+
+    await page.locator('.achievement-card[data-achievement="euro"] .card-title').click();
+    await field(page, 'achievements.euro.category', 'en').fill('European "Gold"');
+    await field(page, 'achievements.euro.category', 'de').fill('EM-Gold');
+    await page.keyboard.press('Escape');
+
+    await page.locator('.nav-links a[href="#about"]').click();
+    await field(page, 'nav.about', 'en').fill('About');
+    await page.keyboard.press('Escape');
+
+    expect(await exported(page, 'content')).toBe(read('content.json')
+      .replace('"category": "European Championships"', '"category": "European \\"Gold\\""'));
+    expect(await exported(page, 'en')).toBe(read('i18n/en.json')
+      .replace('"nav.about": "About Me"', '"nav.about": "About"'));
+    expect(await exported(page, 'de')).toBe(read('i18n/de.json')
+      .replace('"achievements.euro.category": "Europameisterschaft"', '"achievements.euro.category": "EM-Gold"'));
+  });
+
+  test('should keep a milestone title shown under two keys as one text', async ({ page }) => {
+    await page.goto('/?edit');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    // Without a label, the milestone's name and its title are the same field
+    await page.locator('.timeline-point-group[data-point="euro"] .timeline-point-hitarea').click();
+    await field(page, 'timeline.euro', 'en').fill('Euro Champ');
+    await expect(field(page, 'timeline.point.euro.title', 'en')).toHaveValue('Euro Champ');
+    await field(page, 'timeline.point.euro.title', 'en').fill('European Champion 2025');
+    await expect(field(page, 'timeline.euro', 'en')).toHaveValue('European Champion 2025');
+    await page.keyboard.press('Escape');
+
+    const content = await exported(page, 'content');
+    const euro = JSON.parse(content).timeline.points.find((point: any) => point.id === 'euro');
+    expect(euro.title).toBe('European Champion 2025');
+    expect(content).toBe(read('content.json')
+      .replace('"title": "European Champion"', '"title": "European Champion 2025"'));
+  });
+});
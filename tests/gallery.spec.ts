@@ -0,0 +1,39 @@
+import { test, expect } from '@playwright/test';
+import content from '../data/content.json';
+
+const spudLake = content.gallery.photos.filter(photo => photo.album === 'spud-lake');
+
+test.describe('Gallery Albums', () => {
+  test('should render a filter chip per album plus "All"', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('.gallery-filter')).toHaveCount(content.gallery.albums.length + 1);
+    await expect(page.locator('.gallery-filter[data-album="all"]')).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('.gallery-item')).toHaveCount(content.gallery.photos.length);
+  });
+
+  test('should show only the selected album and link to it', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('.gallery-filter[data-album="spud-lake"]').click();
+
+    await expect(page).toHaveURL(/#gallery\/spud-lake$/);
+    await expect(page.locator('.gallery-item:visible')).toHaveCount(spudLake.length);
+    await expect(page.locator('.gallery-item[data-album="training"]').first()).toBeHidden();
+  });
+
+  test('should keep the lightbox within the filtered album', async ({ page }) => {
+    await page.goto('/#gallery/spud-lake');
+
+    await expect(page.locator('.gallery-filter[data-album="spud-lake"]')).toHaveAttribute('aria-pressed', 'true');
+    await page.locator('.gallery-item:visible img').first().click();
+
+    await expect(page).toHaveURL(/#gallery\/spud-lake\/1$/);
+    await expect(page.locator('#lightboxCounter')).toHaveText(`1 / ${spudLake.length}`);
+    await expect(page.locator('.lightbox-thumb')).toHaveCount(spudLake.length);
+
+    await page.locator('#lightboxPrev').click();
+    await expect(page).toHaveURL(new RegExp(`#gallery/spud-lake/${spudLake.length}$`));
+    await expect(page.locator('#lightboxCaption')).toContainText('2025');
+  });
+});
@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+import fr from '../data/i18n/fr.json';
+import it from '../data/i18n/it.json';
+import de from '../data/i18n/de.json';
+import en from '../data/i18n/en.json';
+
+test.describe('Internationalisation', () => {
+  test('should offer a picker option for every locale', async ({ page }) => {
+    await page.goto('/');
+
+    const options = page.locator('#langPicker .lang-option');
+    await expect(options).toHaveCount(4);
+    await expect(page.locator('#langPicker [data-locale="en"]')).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('should translate the page to French and remember the choice', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#langPicker [data-locale="fr"]').click();
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'fr');
+    await expect(page.locator('.hero-cta')).toHaveText(fr['hero.cta']);
+    await expect(page).toHaveTitle('Eva Tschanz-Eichar | Championne suisse de kickboxing');
+
+    await page.reload();
+    await expect(page.locator('.hero-cta')).toHaveText(fr['hero.cta']);
+  });
+
+  test('should translate the page when storage is unavailable', async ({ page }) => {
+    await page.addInitScript(() => {
+      const unavailable = () => { throw new DOMException('Storage is disabled', 'SecurityError'); };
+      Storage.prototype.getItem = unavailable;
+      Storage.prototype.setItem = unavailable;
+    });
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await page.locator('#langPicker [data-locale="fr"]').click();
+    await expect(page.locator('html')).toHaveAttribute('lang', 'fr');
+    await expect(page.locator('.hero-cta')).toHaveText(fr['hero.cta']);
+  });
+
+  test('should translate the footer in every language', async ({ page }) => {
+    const footer = Object.keys(en).filter(key => key.startsWith('footer.'));
+    for (const catalogue of [de, fr, it]) {
+      expect(footer.filter(key => !(key in catalogue))).toEqual([]);
+    }
+
+    await page.goto('/');
+    await page.locator('#langPicker [data-locale="fr"]').click();
+    await expect(page.locator('.footer-nav a[href="#gallery"]')).toHaveText(fr['footer.gallery']);
+  });
+
+  test('should render rich-text keys as HTML', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#langPicker [data-locale="it"]').click();
+
+    const badge = page.locator('[data-i18n="hero.badge.swiss_html"]');
+    await expect(badge).toHaveText(it['hero.badge.swiss_html'].replace('<br>', ''));
+    await expect(badge.locator('br')).toHaveCount(1);
+  });
+
+  test('should fall back to English for keys a locale does not define', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#langPicker [data-locale="de"]').click();
+
+    // The gym name has no German translation and comes from the English content
+    await expect(page.locator('[data-i18n="about.gym.value"]')).toHaveText('Fusion Sports Academy');
+  });
+});
@@ -0,0 +1,47 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import content from '../data/content.json';
+import manifest from '../data/images.json';
+
+test.describe('Responsive Images', () => {
+  test('should offer gallery photos in every format and reserve their space', async ({ page }) => {
+    await page.goto('/#gallery');
+
+    const photo = content.gallery.photos[0];
+    const entry = manifest[photo.full];
+    const img = page.locator(`.gallery-item img[data-image="${photo.full}"]`);
+    const picture = page.locator('.gallery-item picture', { has: img });
+
+    await expect(picture.locator('source[type="image/avif"]')).toHaveAttribute('srcset', /-480\.avif 480w/);
+    await expect(picture.locator('source[type="image/webp"]')).toHaveAttribute('srcset', /-480\.webp 480w/);
+
+    await expect(img).toHaveAttribute('width', String(entry.width));
+    await expect(img).toHaveAttribute('height', String(entry.height));
+    await expect(img).toHaveAttribute('style', /background-color/);
+  });
+
+  test('should show timeline milestones in the sizes the modal needs', async ({ page }) => {
+    const point = content.timeline.points.find(item => item.image)!;
+    await page.goto(`/#journey/${point.id}`);
+
+    const img = page.locator('#timelinePointModalImg');
+    await expect(img).toHaveAttribute('srcset', /^images\/responsive\//);
+    await expect(img).toHaveAttribute('sizes', '(max-width: 540px) 100vw, 500px');
+    await expect(page.locator('#timelinePointModalImage source[type="image/avif"]')).toHaveCount(1);
+  });
+
+  test('should list variants with normalised names and no EXIF data', async () => {
+    for (const [original, entry] of Object.entries(manifest)) {
+      expect(entry.width, original).toBeGreaterThan(0);
+      expect(entry.blurhash, original).toMatch(/^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{6,}$/);
+
+      for (const { src } of Object.values(entry.sources).flat()) {
+        expect(src).toMatch(/^images\/responsive\/[a-z0-9/-]+-\d+\.(avif|webp|jpg|png)$/);
+        if (src.endsWith('.jpg')) {
+          expect(readFileSync(join(__dirname, '..', src)).includes('Exif\0\0'), `${src} carries EXIF data`).toBe(false);
+        }
+      }
+    }
+  });
+});
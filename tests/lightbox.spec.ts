@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import manifest from '../data/images.json';
+
+test.describe('Gallery Lightbox', () => {
+  test('should show a counter, caption and thumbnail strip', async ({ page }) => {
+    await page.goto('/#gallery/3');
+
+    const total = await page.locator('.gallery-item img').count();
+    const alt = await page.locator('.gallery-item img').nth(2).getAttribute('alt');
+
+    await expect(page.locator('#lightboxCounter')).toHaveText(`3 / ${total}`);
+    await expect(page.locator('#lightboxCaption')).toHaveText(alt!);
+    await expect(page.locator('.lightbox-thumb')).toHaveCount(total);
+    await expect(page.locator('.lightbox-thumb').nth(2)).toHaveClass(/active/);
+
+    await page.locator('.lightbox-thumb').nth(5).click();
+    await expect(page.locator('#lightboxCounter')).toHaveText(`6 / ${total}`);
+  });
+
+  test('should name the album event in the page language', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+    await page.locator('#langPicker [data-locale="de"]').click();
+
+    await page.locator('.gallery-item[data-album="spud-lake"] .gallery-open').first().click();
+    await expect(page.locator('#lightboxCaption')).toContainText('· Trainingslager am Spud Lake, 2025');
+  });
+
+  test('should stay usable when fullscreen is refused', async ({ page }) => {
+    await page.addInitScript(() => {
+      Object.defineProperty(Document.prototype, 'fullscreenEnabled', { get: () => true });
+      Element.prototype.requestFullscreen = () => Promise.reject(new TypeError('Permissions check failed'));
+    });
+    const errors: Error[] = [];
+    page.on('pageerror', error => errors.push(error));
+    await page.goto('/#gallery/1');
+
+    const button = page.locator('#lightboxFullscreen');
+    await button.click();
+    await expect(button).not.toHaveAttribute('aria-pressed', 'true');
+    await page.locator('#lightboxNext').click();
+    await expect(page.locator('#lightboxCounter')).toHaveText(/^2 \//);
+    expect(errors).toEqual([]);
+  });
+
+  test('should preload the neighbouring full-size photos', async ({ page }) => {
+    await page.goto('/');
+
+    // Any lightbox-sized variant of the second photo
+    const next = manifest[(await page.locator('.gallery-item img').nth(1).getAttribute('data-image'))!];
+    const variants = Object.values(next.sources).flat().filter(variant => variant.width > 480).map(variant => variant.src);
+    const request = page.waitForRequest(req => variants.some(src => req.url().endsWith(src)));
+
+    await page.locator('.gallery-item img').first().click();
+    await request;
+  });
+
+  test('should navigate with a swipe', async ({ page }) => {
+    await page.goto('/#gallery/1');
+
+    const box = (await page.locator('#lightboxStage').boundingBox())!;
+    const y = box.y + box.height / 2;
+    await page.mouse.move(box.x + box.width / 2 + 100, y);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width / 2 - 100, y, { steps: 5 });
+    await page.mouse.up();
+
+    await expect(page).toHaveURL(/#gallery\/2$/);
+  });
+
+  test('should zoom on double tap and reset when moving on', async ({ page }) => {
+    await page.goto('/#gallery/1');
+
+    await page.locator('#lightboxStage').dblclick();
+    await expect(page.locator('#lightboxStage')).toHaveClass(/zoomed/);
+    await expect(page.locator('#lightboxImage')).toHaveAttribute('style', /scale\(2\.5\)/);
+
+    await page.keyboard.press('ArrowRight');
+    await expect(page.locator('#lightboxStage')).not.toHaveClass(/zoomed/);
+  });
+});
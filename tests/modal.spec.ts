@@ -0,0 +1,63 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Modal Stack', () => {
+  test('should expose dialog semantics and move focus into the modal', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('.achievement-card[data-achievement="euro"]').click();
+
+    const modal = page.locator('#achievementModal');
+    await expect(modal).toHaveAttribute('role', 'dialog');
+    await expect(modal).toHaveAttribute('aria-modal', 'true');
+    await expect(modal).toHaveAttribute('aria-labelledby', 'modalTitle');
+    await expect(page.locator('#modalClose')).toBeFocused();
+  });
+
+  test('should keep Tab focus inside the open modal', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('.gallery-item img').first().click();
+    const lightbox = page.locator('#galleryLightbox');
+
+    for (let i = 0; i < 5; i++) {
+      await page.keyboard.press('Tab');
+      expect(await lightbox.evaluate(el => el.contains(document.activeElement))).toBe(true);
+    }
+    await page.keyboard.press('Shift+Tab');
+    expect(await lightbox.evaluate(el => el.contains(document.activeElement))).toBe(true);
+  });
+
+  test('should return focus to the trigger and unlock scrolling on close', async ({ page }) => {
+    await page.setViewportSize({ width: 375, height: 812 });
+    await page.goto('/');
+
+    await page.locator('#menuToggle').focus();
+    await page.keyboard.press('Enter');
+    await expect(page.locator('#sidebarNav')).toHaveClass(/active/);
+    await expect(page.locator('body')).toHaveCSS('overflow', 'hidden');
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#sidebarNav')).not.toHaveClass(/active/);
+    await expect(page.locator('#menuToggle')).toBeFocused();
+    await expect(page.locator('body')).not.toHaveCSS('overflow', 'hidden');
+  });
+
+  test('should close only the top layer on Escape', async ({ page }) => {
+    await page.setViewportSize({ width: 375, height: 812 });
+    await page.goto('/#achievements/euro');
+    await expect(page.locator('#achievementModal')).toHaveClass(/active/);
+
+    // Stack the sidebar over the open achievement
+    await page.locator('#menuToggle').dispatchEvent('click');
+    await expect(page.locator('#sidebarNav')).toHaveClass(/active/);
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#sidebarNav')).not.toHaveClass(/active/);
+    await expect(page.locator('#achievementModal')).toHaveClass(/active/);
+    await expect(page.locator('body')).toHaveCSS('overflow', 'hidden');
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#achievementModal')).not.toHaveClass(/active/);
+    await expect(page.locator('body')).not.toHaveCSS('overflow', 'hidden');
+  });
+});
@@ -0,0 +1,79 @@
+import { test, expect, Page } from '@playwright/test';
+
+// Scroll so a section's top sits just below the fixed navbar, like a nav link does
+const scrollToSection = (page: Page, id: string) => page.evaluate(id => {
+  const top = document.getElementById(id)!.getBoundingClientRect().top + window.scrollY;
+  window.scrollTo(0, top - document.getElementById('navbar')!.offsetHeight);
+}, id);
+
+const hash = (page: Page) => page.evaluate(() => location.hash);
+
+test.describe('Scroll Spy', () => {
+  // Instant scrolling, so positions can be read right away
+  test.beforeEach(async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+  });
+
+  test('should mark the section being read in the navbar and the sidebar', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+    const entries = await page.evaluate(() => history.length);
+
+    await scrollToSection(page, 'gallery');
+    await expect(page.locator('.nav-links a[href="#gallery"]')).toHaveAttribute('aria-current', 'location');
+    await expect(page.locator('#sidebarNav a[href="#gallery"]')).toHaveClass(/active/);
+    await expect.poll(() => hash(page)).toBe('#gallery');
+
+    // A link into the section being read stays
+    await page.locator('.gallery-filter[data-album="spud-lake"]').click();
+    await page.evaluate(() => window.scrollBy(0, 50));
+    await page.evaluate(() => new Promise(requestAnimationFrame));
+    await page.evaluate(() => new Promise(requestAnimationFrame));
+    expect(await hash(page)).toBe('#gallery/spud-lake');
+
+    // Sections without a link of their own keep the one before them marked
+    await scrollToSection(page, 'budget');
+    await expect.poll(() => hash(page)).toBe('#budget');
+    await expect(page.locator('.nav-links a.active')).toHaveAttribute('href', '#journey');
+    await expect(page.locator('.nav-links a[href="#gallery"]')).not.toHaveAttribute('aria-current');
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await expect.poll(() => hash(page)).toBe('');
+    await expect(page.locator('.nav-links a.active')).toHaveCount(0);
+
+    // The hash is replaced, never pushed
+    expect(await page.evaluate(() => history.length)).toBe(entries);
+  });
+
+  test('should fill the reading progress bar to the end of the page', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    const bar = page.locator('#readingProgress');
+    await expect(bar).toHaveCSS('transform', 'matrix(0, 0, 0, 1, 0, 0)');
+
+    await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+    await expect(bar).toHaveCSS('transform', 'matrix(1, 0, 0, 1, 0, 0)');
+    // The last section may be too short to reach the navbar, so the end of the page marks it
+    await expect(page.locator('.nav-links a.active')).toHaveAttribute('href', '#contact');
+  });
+
+  test('should open a section link below the navbar', async ({ page }) => {
+    await page.goto('/#budget');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    const top = await page.locator('#budget').evaluate(el => el.getBoundingClientRect().top);
+    const navbar = await page.locator('#navbar').evaluate(el => el.offsetHeight);
+    expect(Math.abs(top - navbar)).toBeLessThan(2);
+    await expect(page.locator('.nav-links a.active')).toHaveAttribute('href', '#journey');
+  });
+
+  test('should leave the hash of an open view alone', async ({ page }) => {
+    await page.goto('/#achievements/euro');
+    await page.evaluate(() => (window as any).portfolioReady);
+    await expect(page.locator('#achievementModal')).toBeVisible();
+
+    await page.mouse.wheel(0, 400);
+    expect(await hash(page)).toBe('#achievements/euro');
+  });
+});
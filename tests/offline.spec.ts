@@ -0,0 +1,100 @@
+import { test, expect, Page } from '@playwright/test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import content from '../data/content.json';
+
+const manifest = JSON.parse(readFileSync(join(__dirname, '..', 'manifest.webmanifest'), 'utf8'));
+
+// The other specs block the service worker (see playwright.config.ts)
+test.use({ serviceWorkers: 'allow' });
+
+// Load the page until sw.js has stored the shell and controls the page
+const install = async (page: Page, url = '/') => {
+  await page.goto(url);
+  await page.evaluate(() => navigator.serviceWorker.ready);
+  await page.waitForFunction(() => navigator.serviceWorker.controller !== null);
+};
+
+test.describe('Offline Support', () => {
+  test('should link a manifest with home screen icons', async ({ page, request }) => {
+    await page.goto('/');
+    await expect(page.locator('link[rel="manifest"]')).toHaveAttribute('href', 'manifest.webmanifest');
+
+    for (const icon of manifest.icons) {
+      const response = await request.get(`/${icon.src}`);
+      expect(response.ok(), icon.src).toBe(true);
+    }
+  });
+
+  test('should show the profile and the photos already seen without a connection', async ({ page, context }) => {
+    await install(page, '/#gallery');
+    // Photos are stored as they pass through the worker, so load them again under its control
+    await page.reload();
+    const photo = page.locator('.gallery-item img').first();
+    await expect.poll(() => photo.evaluate((img: HTMLImageElement) => img.naturalWidth)).toBeGreaterThan(0);
+
+    await context.setOffline(true);
+    await page.reload();
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('.achievement-card')).toHaveCount(content.achievements.length);
+    await page.locator('#gallery').scrollIntoViewIfNeeded();
+    await expect.poll(() => photo.evaluate((img: HTMLImageElement) => img.naturalWidth)).toBeGreaterThan(0);
+
+    // YouTube cannot load offline, so its videos say so instead of asking for consent
+    const video = page.locator('.video-item[data-provider="youtube"]').first();
+    await expect(video.locator('.video-offline')).toHaveText(/offline/);
+    await video.click({ force: true });
+    await expect(video.locator('.video-consent')).toHaveCount(0);
+
+    await context.setOffline(false);
+    await expect(video.locator('.video-offline')).toHaveCount(0);
+  });
+
+  test('should store only the shell and photos up to their size limit', async ({ page }) => {
+    await install(page, '/#gallery');
+    await page.reload();
+    await page.evaluate(() => (window as any).portfolioReady);
+    // Files outside the shell are fetched but not stored
+    await page.evaluate(() => fetch('README.md'));
+
+    const stored = await page.evaluate(async () => {
+      const result: Record<string, { path: string, size: number }[]> = {};
+      for (const name of await caches.keys()) {
+        const cache = await caches.open(name);
+        result[name.split('-')[0]] = await Promise.all((await cache.keys()).map(async request => ({
+          path: new URL(request.url).pathname,
+          size: Number((await cache.match(request))!.headers.get('X-Cached-Size'))
+        })));
+      }
+      return result;
+    });
+
+    expect(stored.shell.map(entry => entry.path).sort()).toEqual([
+      '/', '/css/styles.css', '/js/main.js', '/images/svg/timeline.svg', '/data/content.json', '/data/images.json',
+      '/data/i18n/en.json', '/data/i18n/de.json', '/data/i18n/fr.json', '/data/i18n/it.json', '/manifest.webmanifest'
+    ].sort());
+
+    // Photos are kept by size: each records its own, and together they stay below 25 MB
+    expect(stored.images.length).toBeGreaterThan(0);
+    for (const { path, size } of stored.images) expect(size, path).toBeGreaterThan(0);
+    expect(stored.images.reduce((sum, { size }) => sum + size, 0)).toBeLessThanOrEqual(25 * 1024 * 1024);
+  });
+
+  test('should offer to reload when a new version is waiting', async ({ page }) => {
+    await install(page);
+    await expect(page.locator('#updatePrompt')).toBeHidden();
+
+    // A worker from another script URL stands in for a new deploy
+    await page.evaluate(() => {
+      (window as any).beforeUpdate = true;
+      return navigator.serviceWorker.register('sw.js?next');
+    });
+    await expect(page.locator('#updatePrompt')).toBeVisible();
+
+    await page.locator('[data-update-reload]').click();
+    await page.waitForFunction(() => !(window as any).beforeUpdate && navigator.serviceWorker.controller !== null);
+    expect(await page.evaluate(() => navigator.serviceWorker.controller!.scriptURL)).toMatch(/sw\.js\?next$/);
+    await expect(page.locator('#updatePrompt')).toBeHidden();
+  });
+});
@@ -0,0 +1,36 @@
+import { test, expect } from '@playwright/test';
+import content from '../data/content.json';
+
+test.describe('Sponsorship Packages', () => {
+  test('should render every tier and add-on with the featured tier selected', async ({ page }) => {
+    await page.goto('/#packages');
+
+    await expect(page.locator('.package-tier')).toHaveCount(content.packages.tiers.length);
+    await expect(page.locator('.package-addon')).toHaveCount(content.packages.addons.length);
+    await expect(page.locator('.package-tier[data-tier="silver"] input')).toBeChecked();
+  });
+
+  test('should sum the package and show how much of the budget it covers', async ({ page }) => {
+    await page.goto('/#packages');
+
+    await page.locator('.package-tier[data-tier="gold"]').click();
+    await page.locator('.package-addon[data-addon="workshop"]').click();
+
+    await expect(page.locator('.package-summary-total strong')).toHaveText('CHF 6,200');
+    await expect(page.locator('.package-coverage-label strong')).toHaveText('71%');
+  });
+
+  test('should open a pre-filled email in the page language', async ({ page }) => {
+    await page.goto('/#packages');
+    await page.locator('#langPicker [data-locale="de"]').click();
+    await page.locator('.package-tier[data-tier="gold"]').click();
+
+    // Keep the mail client closed and read the link the click produced
+    await page.locator('#packageSend').evaluate(link => link.addEventListener('click', e => e.preventDefault()));
+    await page.locator('#packageSend').click();
+
+    const href = decodeURIComponent((await page.locator('#packageSend').getAttribute('href'))!);
+    expect(href).toContain(`mailto:${content.profile.contact.email}?subject=Sponsoring-Anfrage: Paket Gold`);
+    expect(href).toContain('- Alles aus Silber');
+  });
+});
@@ -57,17 +57,18 @@ test.describe('Page Load', () => {
     await expect(footer).toBeAttached();
   });
 
-  test('gallery images should use thumbnails, lightbox should use web versions', async ({ page }) => {
+  test('gallery images should use small variants, lightbox should use larger ones', async ({ page }) => {
     await page.goto('/');
 
-    // Gallery items should use thumbnail images
+    // Gallery items should use the responsive variants of their photo
     const galleryImages = page.locator('.gallery-item img');
     const count = await galleryImages.count();
     expect(count).toBeGreaterThan(0);
 
     for (let i = 0; i < count; i++) {
       const src = await galleryImages.nth(i).getAttribute('src');
-      expect(src, `Gallery image ${i} should use thumbnails/`).toContain('images/thumbnails/');
+      expect(src, `Gallery image ${i} should use images/responsive/`).toContain('images/responsive/');
+      expect(src, `Gallery image ${i} should start with the smallest variant`).toMatch(/-480\.jpg$/);
     }
 
     // Click first gallery image to open lightbox
@@ -76,11 +77,10 @@ test.describe('Page Load', () => {
     const lightbox = page.locator('#galleryLightbox');
     await expect(lightbox).toHaveClass(/active/);
 
-    // Lightbox image should use web-optimized version
+    // Lightbox image should offer every width once the full-size photo has loaded
     const lightboxImg = page.locator('#lightboxImage');
-    const lightboxSrc = await lightboxImg.getAttribute('src');
-    expect(lightboxSrc, 'Lightbox should use images/web/').toContain('images/web/');
-    expect(lightboxSrc, 'Lightbox should not use thumbnails').not.toContain('images/thumbnails/');
+    await expect(lightboxImg).toHaveAttribute('srcset', /^images\/responsive\/.+ 480w, /);
+    await expect(lightboxImg).toHaveAttribute('sizes', '90vw');
   });
 
   test('no images should reference non-optimized originals', async ({ page }) => {
@@ -91,8 +91,8 @@ test.describe('Page Load', () => {
 
     for (let i = 0; i < count; i++) {
       const src = await allImages.nth(i).getAttribute('src');
-      const usesOptimized = src!.startsWith('images/web/') || src!.startsWith('images/thumbnails/') || src!.startsWith('images/svg/');
-      expect(usesOptimized, `Image "${src}" should use images/web/, images/thumbnails/, or images/svg/`).toBe(true);
+      const usesOptimized = ['images/responsive/', 'images/web/', 'images/thumbnails/', 'images/svg/'].some(folder => src!.startsWith(folder));
+      expect(usesOptimized, `Image "${src}" should use images/responsive/, images/web/, images/thumbnails/, or images/svg/`).toBe(true);
     }
   });
 });
@@ -0,0 +1,40 @@
+import { test, expect } from '@playwright/test';
+import content from '../data/content.json';
+
+const fights = content.record.fights;
+const wins = fights.filter(fight => fight.result === 'win').length;
+
+test.describe('Fight Record', () => {
+  test('should compute the overall record from the fight log', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('.fight-record-row')).toHaveCount(fights.length);
+    await expect(page.locator('.fight-record-stat').first().locator('.fight-record-stat-value'))
+      .toHaveText(`${wins}–${fights.length - wins}`);
+  });
+
+  test('should sort by a column and filter by result', async ({ page }) => {
+    await page.goto('/#achievements');
+
+    const dateHeader = page.locator('th', { has: page.locator('[data-sort="date"]') });
+    await expect(dateHeader).toHaveAttribute('aria-sort', 'descending');
+    await page.locator('[data-sort="date"]').click();
+    await expect(dateHeader).toHaveAttribute('aria-sort', 'ascending');
+
+    const seasons = await page.locator('.fight-record-row').evaluateAll(rows => rows.map(row => (row as HTMLElement).dataset.season));
+    expect(seasons).toEqual([...seasons].sort());
+
+    await page.locator('[data-filter="result"]').selectOption('loss');
+    await expect(page.locator('.fight-record-row:visible')).toHaveCount(fights.length - wins);
+    await page.locator('[data-filter="level"]').selectOption('pro');
+    await expect(page.locator('.fight-record-row:visible')).toHaveCount(0);
+    await expect(page.locator('#fightRecordEmpty')).toBeVisible();
+  });
+
+  test('should generate the achievement result lines in German', async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#langPicker [data-locale="de"]').click();
+
+    await expect(page.locator('.achievement-card[data-achievement="euro"] .card-result')).toHaveText('3 Kämpfe, 3 Siege – Goldmedaille');
+  });
+});
@@ -0,0 +1,53 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Deep Links', () => {
+  test('should open an achievement from a shared link', async ({ page }) => {
+    await page.goto('/#achievements/euro');
+
+    await expect(page.locator('#achievementModal')).toHaveClass(/active/);
+    await expect(page.locator('#modalTitle')).toHaveText('European Championships 2025');
+
+    await page.locator('#modalClose').click();
+    await expect(page.locator('#achievementModal')).not.toHaveClass(/active/);
+    await expect(page).toHaveURL(/#achievements$/);
+  });
+
+  test('should open a milestone and a gallery photo from a shared link', async ({ page }) => {
+    await page.goto('/#journey/swiss');
+    await expect(page.locator('#timelinePointModal')).toHaveClass(/active/);
+
+    await page.goto('/#gallery/7');
+    await expect(page.locator('#galleryLightbox')).toHaveClass(/active/);
+    const seventh = page.locator('.gallery-item img').nth(6);
+    await expect(page.locator('#lightboxImage')).toHaveAttribute('alt', (await seventh.getAttribute('alt'))!);
+  });
+
+  test('should close an opened view with the back button', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('.partner-card[data-partner="edubily"]').click();
+    await expect(page).toHaveURL(/#partners\/edubily$/);
+    await expect(page.locator('#partnerModal')).toHaveClass(/active/);
+
+    await page.goBack();
+    await expect(page.locator('#partnerModal')).not.toHaveClass(/active/);
+  });
+
+  test('should keep one history entry while browsing the lightbox', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('.gallery-item img').first().click();
+    await page.locator('#lightboxNext').click();
+    await expect(page).toHaveURL(/#gallery\/2$/);
+
+    await page.goBack();
+    await expect(page.locator('#galleryLightbox')).not.toHaveClass(/active/);
+  });
+
+  test('should ignore links to unknown items', async ({ page }) => {
+    await page.goto('/#achievements/unknown');
+
+    await expect(page.locator('.achievement-card')).not.toHaveCount(0);
+    await expect(page.locator('#achievementModal')).not.toHaveClass(/active/);
+  });
+});
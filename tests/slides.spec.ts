@@ -0,0 +1,78 @@
+import { test, expect, Page } from '@playwright/test';
+import { readFileSync } from 'fs';
+
+// Record the text drawn on the canvas, as it cannot be read back from the pixels
+const recordText = (page: Page) => page.addInitScript(() => {
+  const fillText = CanvasRenderingContext2D.prototype.fillText;
+  CanvasRenderingContext2D.prototype.fillText = function (text: string, ...rest: [number, number]) {
+    (window as any).slideText = [...((window as any).slideText || []), text];
+    return fillText.call(this, text, ...rest);
+  };
+});
+
+test.describe('Slide Studio', () => {
+  test('should draw a slide and save it as PNG', async ({ page }) => {
+    await page.goto('/slides.html');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('#slideTemplate option')).toHaveCount(4);
+    await expect(page.locator('#slideItem')).toBeHidden();
+
+    await page.locator('#slideTemplate').selectOption('result');
+    await page.locator('#slideItem').selectOption('european-championships-2025');
+    await page.locator('#slideLanguage').selectOption('de');
+    await expect(page.locator('#slideTemplate option:checked')).toHaveText('Kampfergebnis');
+
+    const download = page.waitForEvent('download');
+    await page.locator('#slideDownload').click();
+    const file = await download;
+
+    expect(file.suggestedFilename()).toBe('result-european-championships-2025-de.png');
+    const png = readFileSync((await file.path())!);
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    expect(await page.locator('#slideCanvas').evaluate((canvas: HTMLCanvasElement) => canvas.width)).toBe(1080);
+  });
+
+  test('should fill a preselected slide from the content in the chosen language', async ({ page }) => {
+    await recordText(page);
+    await page.clock.setFixedTime(new Date('2026-10-19T10:00:00Z'));
+    await page.goto('/slides.html?template=upcoming&item=junior-worlds-2026&lang=de');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('#slideItem')).toHaveValue('junior-worlds-2026');
+    const text = await page.evaluate(() => (window as any).slideText);
+    expect(text).toContain('JUNIOREN-WELTMEISTERSCHAFT');
+    expect(text).toContain('NOCH 19 TAGE');
+    expect(text).toContain('7.–15. November 2026');
+  });
+
+  test('should keep drawing after a slide fails', async ({ page }) => {
+    await recordText(page);
+    await page.addInitScript(() => {
+      // Only the first image drawn fails
+      const drawImage = CanvasRenderingContext2D.prototype.drawImage;
+      CanvasRenderingContext2D.prototype.drawImage = function () {
+        CanvasRenderingContext2D.prototype.drawImage = drawImage;
+        throw new DOMException('The image is broken', 'InvalidStateError');
+      };
+    });
+    const errors: Error[] = [];
+    page.on('pageerror', error => errors.push(error));
+    await page.goto('/slides.html');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await page.locator('#slideTemplate').selectOption('thanks');
+    await expect.poll(() => page.evaluate(() => (window as any).slideText || [])).toContain('THANK YOU');
+    expect(errors).toEqual([]);
+  });
+
+  test('should explain an empty template instead of drawing it', async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2030-01-01T10:00:00Z'));
+    await page.goto('/slides.html?template=upcoming');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('#slideEmpty')).toBeVisible();
+    await expect(page.locator('#slideCanvas')).toBeHidden();
+    await expect(page.locator('#slideDownload')).toBeDisabled();
+  });
+});
@@ -0,0 +1,67 @@
+import { test, expect, Page } from '@playwright/test';
+
+const style = (page: Page, selector: string, property: string) =>
+  page.locator(selector).first().evaluate((el, name) => getComputedStyle(el).getPropertyValue(name), property);
+
+test.describe('Theme', () => {
+  test('should follow the system colour scheme, timeline included', async ({ page }) => {
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'dark');
+    expect(await style(page, 'body', 'background-color')).toBe('rgb(18, 22, 36)');
+    expect(await style(page, '.timeline-path', 'stroke')).toBe('rgb(230, 233, 242)');
+    await expect(page.locator('meta[name="theme-color"]')).toHaveAttribute('content', '#121624');
+
+    await page.emulateMedia({ colorScheme: 'light' });
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'light');
+    expect(await style(page, '.timeline-path', 'stroke')).toBe('rgb(26, 26, 26)');
+  });
+
+  test('should remember a theme picked in the navbar', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await page.locator('#themeToggle').click();
+    await expect(page.locator('#themeToggle')).toHaveAttribute('aria-expanded', 'true');
+    await page.locator('#themePanel').getByLabel('High contrast').check();
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'contrast');
+    expect(await style(page, 'body', 'color')).toBe('rgb(0, 0, 0)');
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#themePanel')).toBeHidden();
+    await expect(page.locator('#themeToggle')).toBeFocused();
+
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await page.reload();
+    await page.evaluate(() => (window as any).portfolioReady);
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'contrast');
+
+    await page.locator('#langPicker [data-locale="de"]').click();
+    await page.locator('#themeToggle').click();
+    await expect(page.locator('#themePanel').getByLabel('Hoher Kontrast')).toBeChecked();
+    await page.locator('#themePanel').getByLabel('System').first().check();
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'dark');
+  });
+
+  test('should turn off reveal animations and smooth scrolling for reduced motion', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    await page.goto('/');
+    await page.evaluate(() => (window as any).portfolioReady);
+
+    await expect(page.locator('html')).toHaveAttribute('data-motion', 'reduced');
+    // Sections below the fold show without having been scrolled to
+    expect(await style(page, '#contact .reveal', 'opacity')).toBe('1');
+
+    await page.locator('.nav-links a[href="#contact"]').click();
+    const top = await page.locator('#contact').evaluate(el => el.getBoundingClientRect().top);
+    expect(Math.abs(top - await page.locator('#navbar').evaluate(el => el.offsetHeight))).toBeLessThan(2);
+
+    // A choice in the navbar wins over the system
+    await page.locator('#themeToggle').click();
+    await page.locator('#themePanel').getByLabel('Full').check();
+    await expect(page.locator('html')).toHaveAttribute('data-motion', 'full');
+    expect(await page.evaluate(() => localStorage.getItem('preferredMotion'))).toBe('full');
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect, Page } from '@playwright/test';
+import content from '../data/content.json';
+
+const viewBoxX = async (page: Page) =>
+  Number((await page.locator('.timeline-svg').getAttribute('viewBox'))!.split(' ')[0]);
+
+test.describe('Timeline Zoom', () => {
+  test('should zoom into one section per SVG section group', async ({ page }) => {
+    await page.goto('/#journey');
+
+    await expect(page.locator('.timeline-section')).toHaveCount(content.timeline.sections.length);
+
+    await page.locator('#timelineSvgContainer').focus();
+    await page.keyboard.press('ArrowRight');
+    await expect(page.locator('#timelineContainer')).toHaveClass(/zoomed/);
+    await expect(page.locator('#timelineNavPrev')).toBeDisabled();
+
+    for (let i = 1; i < content.timeline.sections.length; i++) {
+      await page.keyboard.press('ArrowRight');
+    }
+    await expect(page.locator('#timelineNavNext')).toBeDisabled();
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('.timeline-svg')).toHaveAttribute('viewBox', '0 0 1000 330');
+  });
+
+  test('should ignore arrow keys while a modal is open', async ({ page }) => {
+    await page.goto('/#journey');
+    await page.locator('#timelineSvgContainer').focus();
+    await page.keyboard.press('ArrowRight');
+    await expect(page.locator('#timelineNavNext')).toBeEnabled();
+
+    await page.evaluate(() => { location.hash = '#achievements/euro'; });
+    await expect(page.locator('#achievementModal')).toHaveClass(/active/);
+
+    const before = await page.locator('.timeline-svg').getAttribute('viewBox');
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(600);
+    await expect(page.locator('.timeline-svg')).toHaveAttribute('viewBox', before!);
+  });
+
+  test('should swipe between sections and zoom on a trackpad pinch', async ({ page }) => {
+    await page.goto('/#journey');
+    const svg = page.locator('#timelineSvgContainer');
+    const box = (await svg.boundingBox())!;
+    const y = box.y + box.height / 2;
+
+    await svg.dispatchEvent('wheel', { deltaY: -100, ctrlKey: true, clientX: box.x + 50, clientY: y });
+    await expect(page.locator('#timelineContainer')).toHaveClass(/zoomed/);
+
+    const start = await viewBoxX(page);
+
+    await page.mouse.move(box.x + box.width / 2 + 150, y);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width / 2 - 150, y, { steps: 5 });
+    await page.mouse.up();
+    await page.waitForTimeout(600);
+
+    expect(await viewBoxX(page)).toBeGreaterThan(start);
+  });
+});
+
+test.describe('Timeline Milestones', () => {
+  test('should place milestones in date order', async ({ page }) => {
+    await page.goto('/');
+
+    const xs = await page.locator('.timeline-point-dot').evaluateAll(dots =>
+      dots.map(dot => Number(dot.getAttribute('cx'))));
+    expect(xs).toEqual([...xs].sort((a, b) => a - b));
+    await expect(page.locator('.timeline-vertical-item')).toHaveCount(content.timeline.points.length);
+    await expect(page.locator('#timelinePath')).toHaveAttribute('d', /^M [\d.]+,[\d.]+ C/);
+  });
+
+  test('should open a planned goal with its target date and progress', async ({ page }) => {
+    await page.goto('/#journey/olympics');
+
+    await expect(page.locator('#timelinePointModal')).toHaveClass(/active/);
+    await expect(page.locator('#timelinePointModalStatus')).toHaveText('Planned');
+    await expect(page.locator('#timelinePointModalYear')).toHaveText('Target date: Near Future');
+    await expect(page.locator('#timelinePointModalProgress')).toHaveText(content.timeline.points.find(point => point.id === 'olympics')!.progress!);
+  });
+});
@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+import { readFile } from 'fs/promises';
+
+test.describe('Upcoming Events', () => {
+  test('should count down to the next event and list past ones in the history', async ({ page }) => {
+    await page.clock.install({ time: new Date('2026-11-06T23:59:00Z') });
+    await page.goto('/#upcoming');
+
+    await expect(page.locator('.upcoming-item').first()).toHaveAttribute('data-event', 'junior-worlds-2026');
+    await expect(page.locator('#upcomingCountdown [data-unit="days"]')).toHaveText('00');
+    await expect(page.locator('#upcomingCountdown [data-unit="minutes"]')).toHaveText('00');
+    await expect(page.locator('.event-history-item[data-event="european-cup-zagreb-2026"]')).toContainText('2–0');
+
+    await page.clock.runFor(61_000);
+    await expect(page.locator('#upcomingLive')).toBeVisible();
+    await expect(page.locator('#upcomingCountdown')).toBeHidden();
+  });
+
+  test('should move an event into the achievements history once it is over', async ({ page }) => {
+    await page.clock.install({ time: new Date('2026-11-15T23:59:58Z') });
+    await page.goto('/');
+
+    await expect(page.locator('.event-history-item[data-event="junior-worlds-2026"]')).toHaveCount(0);
+    await page.clock.runFor(5_000);
+
+    await expect(page.locator('.event-history-item[data-event="junior-worlds-2026"]')).toContainText('Results to follow');
+    await expect(page.locator('.upcoming-item').first()).toHaveAttribute('data-event', 'senior-europeans-2026');
+  });
+
+  test('should stop counting down once the last event is over', async ({ page }) => {
+    const errors: Error[] = [];
+    page.on('pageerror', error => errors.push(error));
+    await page.clock.install({ time: new Date('2027-03-14T23:59:58Z') });
+    await page.goto('/#upcoming');
+    await expect(page.locator('#upcomingCountdown')).toHaveCount(1);
+
+    await page.clock.runFor(5_000);
+    await expect(page.locator('#upcomingCountdown')).toHaveCount(0);
+    await expect(page.locator('#upcomingEmpty')).toBeVisible();
+    await expect(page.locator('.event-history-item[data-event="swiss-championships-2027"]')).toHaveCount(1);
+    expect(errors).toEqual([]);
+  });
+
+  test('should export an event as an all-day .ics entry', async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2026-10-19T12:00:00Z'));
+    await page.goto('/#upcoming');
+
+    const download = page.waitForEvent('download');
+    await page.locator('[data-ics="junior-worlds-2026"]').click();
+    const file = await download;
+
+    expect(file.suggestedFilename()).toBe('junior-worlds-2026.ics');
+    const ics = await readFile((await file.path())!, 'utf8');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20261107\r\n');
+    expect(ics).toContain('DTEND;VALUE=DATE:20261116\r\n');
+    expect(ics).toContain('SUMMARY:Junior World Championships\r\n');
+  });
+});
@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test';
+import content from '../data/content.json';
+
+test.describe('Video Player', () => {
+  test.beforeEach(async ({ page }) => {
+    // Keep the tests offline: third-party players are never actually fetched
+    await page.route(/youtube-nocookie\.com|player\.vimeo\.com/, route => route.fulfill({ body: '<html></html>' }));
+  });
+
+  test('should render every video from the content file', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('#videoTrack .video-item')).toHaveCount(content.videos.items.length);
+    await expect(page.locator('.video-item[data-provider="file"]')).toHaveAttribute('data-source', 'images/startedtraining/IMG_0021.mov');
+  });
+
+  test('should ask for consent before loading a YouTube player', async ({ page }) => {
+    await page.goto('/#gallery-videos');
+
+    const first = page.locator('.video-item[data-provider="youtube"]').first();
+    await first.click();
+
+    await expect(first.locator('.video-consent')).toContainText('YouTube');
+    await expect(first.locator('iframe')).toHaveCount(0);
+
+    await first.locator('.video-consent-remember').check();
+    await first.locator('.video-consent-accept').click();
+    await expect(first.locator('iframe')).toHaveAttribute('src', /youtube-nocookie\.com\/embed\/.*enablejsapi=1/);
+    expect(await page.evaluate(() => localStorage.getItem('videoConsent'))).toBe('["youtube"]');
+
+    // The remembered choice skips the notice for the next video
+    const second = page.locator('.video-item[data-provider="youtube"]').nth(1);
+    await second.click();
+    await expect(second.locator('.video-consent')).toHaveCount(0);
+    await expect(second.locator('iframe')).toHaveCount(1);
+  });
+
+  test('should load the player when the choice cannot be remembered', async ({ page }) => {
+    await page.addInitScript(() => {
+      Storage.prototype.setItem = () => { throw new DOMException('Quota exceeded', 'QuotaExceededError'); };
+    });
+    await page.goto('/#gallery-videos');
+
+    const first = page.locator('.video-item[data-provider="youtube"]').first();
+    await first.click();
+    await first.locator('.video-consent-remember').check();
+    await first.locator('.video-consent-accept').click();
+    await expect(first.locator('iframe')).toHaveCount(1);
+  });
+
+  test('should play self-hosted clips without consent and one video at a time', async ({ page }) => {
+    await page.addInitScript(() => {
+      localStorage.setItem('videoConsent', '["youtube"]');
+      // Count pause requests, as the browser may not be able to decode the clip
+      const pause = HTMLMediaElement.prototype.pause;
+      HTMLMediaElement.prototype.pause = function () {
+        (window as any).pauseCalls = ((window as any).pauseCalls || 0) + 1;
+        return pause.call(this);
+      };
+    });
+    await page.goto('/#gallery-videos');
+
+    const clip = page.locator('.video-item[data-provider="file"]');
+    await clip.scrollIntoViewIfNeeded();
+    await clip.click();
+    await expect(clip.locator('.video-consent')).toHaveCount(0);
+    await expect(clip.locator('video')).toHaveAttribute('src', /IMG_0021\.mov$/);
+
+    const youtube = page.locator('.video-item[data-provider="youtube"]').last();
+    await youtube.click();
+    await expect(youtube.locator('iframe')).toHaveCount(1);
+    expect(await page.evaluate(() => (window as any).pauseCalls)).toBeGreaterThan(0);
+  });
+
+  test('should pause the other videos when a YouTube player is resumed from its own controls', async ({ page }) => {
+    await page.addInitScript(() => {
+      localStorage.setItem('videoConsent', '["youtube"]');
+      const pause = HTMLMediaElement.prototype.pause;
+      HTMLMediaElement.prototype.pause = function () {
+        (window as any).pauseCalls = ((window as any).pauseCalls || 0) + 1;
+        return pause.call(this);
+      };
+    });
+    await page.goto('/#gallery-videos');
+    const pauseCalls = () => page.evaluate(() => (window as any).pauseCalls || 0);
+
+    const youtube = page.locator('.video-item[data-provider="youtube"]').last();
+    await youtube.click();
+    await expect(youtube.locator('iframe')).toHaveCount(1);
+
+    const clip = page.locator('.video-item[data-provider="file"]');
+    await clip.click();
+    await expect(clip.locator('video')).toHaveCount(1);
+    const before = await pauseCalls();
+
+    // What the YouTube player posts when its play button is pressed
+    const frame = page.frames().find(f => f.url().includes('youtube-nocookie.com'))!;
+    await frame.evaluate(() => parent.postMessage(JSON.stringify({ event: 'onStateChange', info: 1 }), '*'));
+    await expect.poll(pauseCalls).toBeGreaterThan(before);
+  });
+});